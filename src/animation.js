@@ -1,16 +1,19 @@
 import { DEG2RAD } from './constants.js';
 
 export class AnimationController {
-    constructor(canvas, ui, onUpdate) {
+    /** @param {import('./arcball.js').Arcball} [arcball] - used when the drag axis is 'free' */
+    constructor(canvas, ui, onUpdate, arcball = null) {
         this.canvas = canvas;
         this.ui = ui;
         this.onUpdate = onUpdate;
+        this.arcball = arcball;
         this.isPlaying = false;
         this.animationAngle = 0;
         this.lastTime = 0;
         this._dragging = false;
         this._dragStartX = 0;
         this._dragStartAngle = 0;
+        this._dragStartQuat = null;
         this._bindDrag();
     }
 
@@ -45,6 +48,12 @@ export class AnimationController {
         this._dragging = true;
         this._dragStartX = e.clientX;
         const axis = this.ui.dragAxis;
+        if (axis === 'free' && this.arcball) {
+            this._dragStartQuat = this.ui.orientationQuat;
+            this.arcball.begin(e.clientX, e.clientY);
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
         const el = document.getElementById(axis === 'x' ? 'orient-x' : axis === 'y' ? 'orient-y' : 'orient-z');
         this._dragStartAngle = parseFloat(el.value);
         this.canvas.style.cursor = 'grabbing';
@@ -52,6 +61,12 @@ export class AnimationController {
 
     _onMove(e) {
         if (!this._dragging) return;
+        if (this._dragStartQuat) {
+            const q = this.arcball.rotation(e.clientX, e.clientY).multiply(this._dragStartQuat);
+            this.ui.setOrientationQuat(q);
+            this.ui.onChange({ key: 'drag', value: q });
+            return;
+        }
         const dx = e.clientX - this._dragStartX;
         let newAngle = Math.max(-180, Math.min(180, this._dragStartAngle + dx * 0.5));
         const axis = this.ui.dragAxis;
@@ -64,6 +79,7 @@ export class AnimationController {
     _onUp() {
         if (this._dragging) {
             this._dragging = false;
+            this._dragStartQuat = null;
             this.canvas.style.cursor = 'default';
         }
     }
@@ -0,0 +1,85 @@
+import { crc32 } from './zip.js';
+
+/**
+ * Animated PNG assembly from same-sized PNG frames (e.g. canvas.toBlob output).
+ * The frames' IDAT data is reused as is, so no image encoder is needed here:
+ * the first frame's IDAT stays IDAT (the default image for non-APNG viewers),
+ * later frames' become fdAT chunks. Loops forever.
+ */
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+function readChunks(png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks = [];
+    let pos = SIGNATURE.length;
+    while (pos + 8 <= png.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...png.subarray(pos + 4, pos + 8));
+        chunks.push({ type, data: png.subarray(pos + 8, pos + 8 + length) });
+        pos += 12 + length;
+    }
+    return chunks;
+}
+
+function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out, 4, 8 + data.length));
+    return out;
+}
+
+/**
+ * @param {Uint8Array[]} frames - PNG files, all the same size
+ * @param {number} fps
+ * @returns {Blob} image/apng
+ */
+export function encodeAPNG(frames, fps) {
+    if (frames.length === 0) throw new Error('No frames');
+    const first = readChunks(frames[0]);
+    const ihdr = first.find(c => c.type === 'IHDR').data;
+    const width = new DataView(ihdr.buffer, ihdr.byteOffset).getUint32(0);
+    const height = new DataView(ihdr.buffer, ihdr.byteOffset).getUint32(4);
+
+    const parts = [new Uint8Array(SIGNATURE), chunk('IHDR', ihdr)];
+    const actl = new DataView(new ArrayBuffer(8));
+    actl.setUint32(0, frames.length);
+    actl.setUint32(4, 0); // loop forever
+    parts.push(chunk('acTL', new Uint8Array(actl.buffer)));
+
+    // Delay as a fraction of a second: 1 / fps, kept exact for integer rates
+    const delayNum = Number.isInteger(fps) ? 1 : 1000;
+    const delayDen = Number.isInteger(fps) ? fps : Math.round(fps * 1000);
+
+    let seq = 0;
+    frames.forEach((png, i) => {
+        const fctl = new DataView(new ArrayBuffer(26));
+        fctl.setUint32(0, seq++);
+        fctl.setUint32(4, width);
+        fctl.setUint32(8, height);
+        fctl.setUint16(20, delayNum);
+        fctl.setUint16(22, delayDen);
+        fctl.setUint8(24, 1); // dispose to background: frames may be transparent
+        parts.push(chunk('fcTL', new Uint8Array(fctl.buffer)));
+
+        const chunks = i === 0 ? first : readChunks(png);
+        const header = chunks.find(c => c.type === 'IHDR').data;
+        if (header.some((b, k) => b !== ihdr[k])) throw new Error(`Frame ${i} differs in size or colour type`);
+        for (const c of chunks) {
+            if (c.type !== 'IDAT') continue;
+            if (i === 0) {
+                parts.push(chunk('IDAT', c.data));
+            } else {
+                const data = new Uint8Array(4 + c.data.length);
+                new DataView(data.buffer).setUint32(0, seq++);
+                data.set(c.data, 4);
+                parts.push(chunk('fdAT', data));
+            }
+        }
+    });
+    parts.push(chunk('IEND', new Uint8Array(0)));
+    return new Blob(parts, { type: 'image/apng' });
+}
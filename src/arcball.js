@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+import { R } from './constants.js';
+
+/**
+ * Arcball drag for the ball orientation.
+ *
+ * The pointer is mapped onto a virtual sphere over the ball's silhouette on
+ * screen (Shoemake); dragging turns the ball by the rotation taking the
+ * grabbed point to the current one, so the point under the cursor follows it.
+ * That rotation is in camera space; `rotation()` re-expresses it in the frame
+ * the orientation quaternion lives in (the ball's parent, spin axis × spin),
+ * so the result can be pre-multiplied onto the orientation.
+ */
+export class Arcball {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {() => {left:number, top:number, width:number, height:number}} getViewport - main view in client px
+     * @param {() => THREE.Quaternion} getFrame - world rotation of the orientation's parent frame
+     */
+    constructor(camera, getViewport, getFrame) {
+        this.camera = camera;
+        this.getViewport = getViewport;
+        this.getFrame = getFrame;
+        this._start = new THREE.Vector3();
+    }
+
+    /** Ball centre and silhouette radius in client px. */
+    _circle() {
+        const vp = this.getViewport();
+        const toScreen = (p) => {
+            const v = p.clone().project(this.camera);
+            return { x: vp.left + (v.x + 1) / 2 * vp.width, y: vp.top + (1 - v.y) / 2 * vp.height };
+        };
+        const c = toScreen(new THREE.Vector3(0, 0, 0));
+        const right = new THREE.Vector3(R, 0, 0).applyQuaternion(this.camera.quaternion);
+        const e = toScreen(right);
+        return { x: c.x, y: c.y, r: Math.max(1, Math.hypot(e.x - c.x, e.y - c.y)) };
+    }
+
+    /** Point on the virtual sphere (camera space, unit length). */
+    _project(clientX, clientY) {
+        const { x, y, r } = this._circle();
+        const v = new THREE.Vector3((clientX - x) / r, (y - clientY) / r, 0);
+        const d2 = v.x * v.x + v.y * v.y;
+        if (d2 <= 1) v.z = Math.sqrt(1 - d2);
+        return v.normalize(); // outside the silhouette: rim of the sphere
+    }
+
+    begin(clientX, clientY) {
+        this._start.copy(this._project(clientX, clientY));
+    }
+
+    /** Rotation since begin(), in the orientation's parent frame. */
+    rotation(clientX, clientY) {
+        const screen = new THREE.Quaternion().setFromUnitVectors(this._start, this._project(clientX, clientY));
+        const cam = this.camera.quaternion;
+        const world = cam.clone().multiply(screen).multiply(cam.clone().invert());
+        const frame = this.getFrame();
+        return frame.clone().invert().multiply(world).multiply(frame);
+    }
+}
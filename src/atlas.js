@@ -0,0 +1,261 @@
+import { heatColor } from './dashboard.js';
+import { angleToClockString } from './ssw.js';
+import { FORCE_CLOCK_MIN_EFFECT } from './batch.js';
+
+/**
+ * 2D orientation atlas — SSW effect heatmap over two swept parameters.
+ * Rows arrive progressively from the worker; clicking a cell calls
+ * onPick(xParam, xValue, yParam, yValue) with slider-unit values.
+ */
+export class AtlasHeatmap {
+    constructor(containerId, onPick) {
+        this.container = document.getElementById(containerId);
+        this.onPick = onPick;
+        this.xs = [];
+        this.ys = [];
+        this.values = null;
+        this.arrows = null;
+        this.xSweep = null;
+        this.ySweep = null;
+        this.cursor = null;
+        this.hover = null;
+        this.xLabel = '';
+        this.yLabel = '';
+
+        this._build();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    _build() {
+        if (!this.container) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        wrapper.style.borderRadius = '6px';
+        wrapper.style.padding = '4px 8px';
+        wrapper.style.pointerEvents = 'auto';
+        wrapper.style.display = 'none'; // shown once a grid is requested
+
+        const header = document.createElement('div');
+        header.style.color = '#cbd5e1';
+        header.style.fontSize = '12px';
+        header.style.marginBottom = '2px';
+        header.style.fontWeight = '600';
+        header.style.fontFamily = "'Outfit', sans-serif";
+
+        const canvas = document.createElement('canvas');
+        canvas.style.width = '100%';
+        canvas.style.display = 'block';
+        canvas.style.cursor = 'crosshair';
+
+        const footer = document.createElement('div');
+        footer.style.color = '#94a3b8';
+        footer.style.fontSize = '11px';
+        footer.style.minHeight = '14px';
+        footer.style.fontFamily = "'Outfit', sans-serif";
+        footer.style.fontVariantNumeric = 'tabular-nums';
+
+        wrapper.appendChild(header);
+        wrapper.appendChild(canvas);
+        wrapper.appendChild(footer);
+        this.container.appendChild(wrapper);
+
+        this.wrapper = wrapper;
+        this.header = header;
+        this.canvas = canvas;
+        this.footer = footer;
+        this.ctx = canvas.getContext('2d');
+        this.width = 100;
+        this.height = 100;
+
+        canvas.addEventListener('pointermove', (e) => {
+            this.hover = this._cellAt(e);
+            this._updateFooter();
+        });
+        canvas.addEventListener('pointerleave', () => {
+            this.hover = null;
+            this._updateFooter();
+        });
+        canvas.addEventListener('click', (e) => {
+            const cell = this._cellAt(e);
+            if (!cell) return;
+            this.onPick(this.xSweep.param, this.xs[cell.i], this.ySweep.param, this.ys[cell.j]);
+        });
+    }
+
+    resize() {
+        if (!this.wrapper || this.wrapper.style.display === 'none') return;
+        const rect = this.wrapper.getBoundingClientRect();
+        const width = Math.floor(rect.width) - 16; // minus horizontal padding
+        if (width <= 0) return;
+        const height = Math.min(width, 240);
+        const dpr = window.devicePixelRatio || 1;
+
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.height = `${height}px`;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.scale(dpr, dpr);
+        this.draw();
+    }
+
+    /** Start a new (empty) grid. */
+    setGrid(xSweep, ySweep, xs, ys, xLabel, yLabel) {
+        this.xSweep = xSweep;
+        this.ySweep = ySweep;
+        this.xs = xs;
+        this.ys = ys;
+        this.values = new Float32Array(xs.length * ys.length).fill(NaN);
+        this.arrows = new Float32Array(xs.length * ys.length).fill(NaN);
+        this.rowsDone = 0;
+        this.setLabels(xLabel, yLabel);
+        if (this.wrapper.style.display === 'none') {
+            this.wrapper.style.display = 'block';
+            this.resize();
+        }
+        this.draw();
+    }
+
+    setLabels(xLabel, yLabel) {
+        this.xLabel = xLabel;
+        this.yLabel = yLabel;
+        this._updateHeader();
+    }
+
+    /** Fill one row (fixed y index) of the grid. */
+    setRow(j, values, arrows) {
+        if (!this.values) return;
+        const nx = this.xs.length;
+        for (let i = 0; i < nx; i++) {
+            this.values[j * nx + i] = values[i];
+            this.arrows[j * nx + i] = arrows[i];
+        }
+        this.rowsDone++;
+        this._updateHeader();
+        this.draw();
+    }
+
+    /** Mark the current control values (slider units); null hides the marker. */
+    updateCursor(x, y) {
+        this.cursor = x === null ? null : { x, y };
+        this.draw();
+    }
+
+    _updateHeader() {
+        if (!this.header) return;
+        const progress = this.ys.length && this.rowsDone < this.ys.length
+            ? ` (${Math.round(this.rowsDone / this.ys.length * 100)}%)` : '';
+        this.header.textContent = `SSW效果 · ${this.xLabel} × ${this.yLabel}${progress}`;
+    }
+
+    _updateFooter() {
+        const cell = this.hover;
+        if (!cell || !this.values) {
+            this.footer.textContent = '';
+            return;
+        }
+        const idx = cell.j * this.xs.length + cell.i;
+        const val = this.values[idx];
+        const base = `${this.xLabel} ${formatTick(this.xs[cell.i])}, ${this.yLabel} ${formatTick(this.ys[cell.j])}`;
+        if (isNaN(val)) {
+            this.footer.textContent = base;
+            return;
+        }
+        const clock = val > FORCE_CLOCK_MIN_EFFECT ? angleToClockString(this.arrows[idx]) : '—';
+        this.footer.textContent = `${base} → ${val.toFixed(2)} · ${clock}`;
+    }
+
+    _layout() {
+        const pl = 28, pr = 4, pt = 4, pb = 14;
+        const nx = this.xs.length, ny = this.ys.length;
+        const cw = (this.width - pl - pr) / nx;
+        const ch = (this.height - pt - pb) / ny;
+        return { pl, pr, pt, pb, nx, ny, cw, ch };
+    }
+
+    _cellAt(e) {
+        if (!this.values) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const { pl, pt, nx, ny, cw, ch } = this._layout();
+        const i = Math.floor((e.clientX - rect.left - pl) / cw);
+        const jFromTop = Math.floor((e.clientY - rect.top - pt) / ch);
+        const j = ny - 1 - jFromTop; // y increases upwards
+        if (i < 0 || i >= nx || j < 0 || j >= ny) return null;
+        return { i, j };
+    }
+
+    draw() {
+        if (!this.ctx || !this.values) return;
+        const { ctx, width: w, height: h } = this;
+        const { pl, pt, pb, nx, ny, cw, ch } = this._layout();
+
+        ctx.clearRect(0, 0, w, h);
+
+        let maxVal = 0;
+        for (const v of this.values) if (v > maxVal) maxVal = v;
+
+        for (let j = 0; j < ny; j++) {
+            const y0 = pt + (ny - 1 - j) * ch;
+            for (let i = 0; i < nx; i++) {
+                const idx = j * nx + i;
+                const val = this.values[idx];
+                const x0 = pl + i * cw;
+                if (isNaN(val)) {
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+                } else {
+                    const c = heatColor(maxVal > 0 ? val / maxVal : 0);
+                    ctx.fillStyle = `rgb(${Math.round(c.r * 255)}, ${Math.round(c.g * 255)}, ${Math.round(c.b * 255)})`;
+                }
+                // +0.5 overlap hides hairline gaps between cells
+                ctx.fillRect(x0, y0, cw + 0.5, ch + 0.5);
+
+                // Force direction tick when cells are big enough
+                if (!isNaN(val) && cw >= 8 && ch >= 8 && val > FORCE_CLOCK_MIN_EFFECT) {
+                    const a = this.arrows[idx];
+                    const cx = x0 + cw / 2, cy = y0 + ch / 2;
+                    const len = Math.min(cw, ch) * 0.35;
+                    ctx.beginPath();
+                    ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+                    ctx.lineWidth = 1;
+                    ctx.moveTo(cx, cy);
+                    ctx.lineTo(cx + Math.cos(a) * len, cy - Math.sin(a) * len);
+                    ctx.stroke();
+                }
+            }
+        }
+
+        // Axis ticks: min / max of each sweep
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '10px "Outfit", sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatTick(this.xs[0]), pl, h - pb + 2);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatTick(this.xs[nx - 1]), w - 4, h - pb + 2);
+        ctx.textBaseline = 'top';
+        ctx.fillText(formatTick(this.ys[ny - 1]), pl - 3, pt);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(formatTick(this.ys[0]), pl - 3, h - pb);
+
+        // Current-value marker
+        if (this.cursor) {
+            const fx = (this.cursor.x - this.xs[0]) / ((this.xs[nx - 1] - this.xs[0]) || 1);
+            const fy = (this.cursor.y - this.ys[0]) / ((this.ys[ny - 1] - this.ys[0]) || 1);
+            if (fx >= 0 && fx <= 1 && fy >= 0 && fy <= 1) {
+                const cx = pl + cw / 2 + fx * cw * (nx - 1);
+                const cy = pt + ch / 2 + (1 - fy) * ch * (ny - 1);
+                ctx.beginPath();
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 1.5;
+                ctx.arc(cx, cy, 4, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+    }
+}
+
+function formatTick(v) {
+    return Number.isInteger(v) ? String(v) : v.toFixed(1);
+}
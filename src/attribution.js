@@ -0,0 +1,58 @@
+import { SEAM_POINTS } from './constants.js';
+
+/**
+ * Seam contribution attribution — which part of the seam drives the SSW
+ * hemisphere imbalance, from computeSSW's per-point `attribution` output.
+ *
+ * Seam point i sits at curve parameter t = 360° · i / SEAM_POINTS
+ * (computeSeamPoints). Its four U-turns (the tips of the two horseshoes)
+ * are at t = 0°, 90°, 180°, 270°, where z = c·cos 2t peaks. The seam is split
+ * into eight arcs: one centred on each U-turn and one on each straight run
+ * between them.
+ */
+
+export const SEAM_ARC_COUNT = 8;
+const ARC_POINTS = SEAM_POINTS / SEAM_ARC_COUNT;
+
+/** @returns {{kind:'turn'|'straight', n:number, m?:number}} U-turn n, or straight run from n to m (1-based) */
+export function seamArcRegion(arcIndex) {
+    const n = Math.floor(arcIndex / 2) + 1;
+    if (arcIndex % 2 === 0) return { kind: 'turn', n };
+    return { kind: 'straight', n, m: (n % 4) + 1 };
+}
+
+/** Seam point indices of an arc: `count` points from `start`, wrapping around the closed seam. */
+export function seamArcPoints(arcIndex) {
+    const start = Math.round(arcIndex * ARC_POINTS - ARC_POINTS / 2 + SEAM_POINTS) % SEAM_POINTS;
+    return { start, count: ARC_POINTS };
+}
+
+/**
+ * Per-arc hemisphere sums, ranked by how much each arc drives the overall
+ * imbalance: share = arc's (A − B), signed towards the total (A − B), as a
+ * fraction of Σ|arc A − B|. Arcs cancel each other a lot, so shares are taken
+ * of the gross imbalance rather than the (often small) net; a negative share
+ * works against the net force.
+ * @param {{sumA:Float32Array, sumB:Float32Array}} attribution
+ * @returns {{arc:number, sumA:number, sumB:number, net:number, share:number}[]}
+ */
+export function rankSeamArcs(attribution) {
+    const arcs = [];
+    let total = 0, gross = 0;
+    for (let arc = 0; arc < SEAM_ARC_COUNT; arc++) {
+        const { start, count } = seamArcPoints(arc);
+        let a = 0, b = 0;
+        for (let k = 0; k < count; k++) {
+            const i = (start + k) % SEAM_POINTS;
+            a += attribution.sumA[i];
+            b += attribution.sumB[i];
+        }
+        arcs.push({ arc, sumA: a, sumB: b, net: a - b, share: 0 });
+        total += a - b;
+        gross += Math.abs(a - b);
+    }
+    const sign = total < 0 ? -1 : 1;
+    const scale = gross || 1;
+    for (const a of arcs) a.share = (a.net * sign) / scale;
+    return arcs.sort((x, y) => y.share - x.share);
+}
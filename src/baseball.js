@@ -4,17 +4,18 @@ import {
 } from './constants.js';
 
 /**
- * Compute seam curve points projected onto a unit sphere.
- * Uses improved sphere-projected parametric equation with 5th harmonic:
- *   x0 = cos(t) - k·cos(3t) + m·cos(5t)
- *   y0 = sin(t) + k·sin(3t) + m·sin(5t)
- *   z0 = h·cos(2t)
- *   (x, y, z) = (x0, y0, z0) / ||(x0, y0, z0)||  (then scaled by R)
+ * Compute seam curve points on the sphere of radius R:
+ *   x = a·cos(t) - b·cos(3t)
+ *   y = a·sin(t) + b·sin(3t)
+ *   z = c·cos(2t)
+ * with a = 1 - pinch, b = pinch and c = 2·sqrt(a·b), so |p| = a + b = 1 for
+ * every t. The pinch sets how far the seam's U-turns reach toward each other;
+ * 0.25 is the regulation ball.
  */
-export function computeSeamPoints() {
-    const a = 0.75;
-    const b = 0.25;
-    const c = 0.866; // ≈ 2 * sqrt(a * b), curve lies naturally on unit sphere
+export function computeSeamPoints(pinch = 0.25) {
+    const a = 1 - pinch;
+    const b = pinch;
+    const c = 2 * Math.sqrt(a * b);
     const pts = new Float32Array(SEAM_POINTS * 3);
     for (let i = 0; i < SEAM_POINTS; i++) {
         const t = (i / SEAM_POINTS) * Math.PI * 2;
@@ -128,10 +129,39 @@ function createLightText() {
     return tex;
 }
 
+/**
+ * Seam tube along `seamPts`, sunk into the ball so it stands `seamHeight` out
+ * of the surface (both in ball radii).
+ */
+export function createSeamGeometry(seamPts, seamRadius = SEAM_TUBE_RADIUS, seamHeight = SEAM_TUBE_RADIUS * 0.5) {
+    const sinkFactor = seamRadius - seamHeight;
+    const seamVectors = [];
+    for (let i = 0; i < SEAM_POINTS; i++) {
+        const x = seamPts[i * 3];
+        const y = seamPts[i * 3 + 1];
+        const z = seamPts[i * 3 + 2];
+        const len = Math.sqrt(x * x + y * y + z * z);
+        seamVectors.push(new THREE.Vector3(
+            x - (x / len) * sinkFactor,
+            y - (y / len) * sinkFactor,
+            z - (z / len) * sinkFactor
+        ));
+    }
+    const seamCurve = new THREE.CatmullRomCurve3(seamVectors, true);
+    return new THREE.TubeGeometry(seamCurve, SEAM_POINTS, seamRadius, 8, true);
+}
+
+/** Swap the seam tube for another seam model (see seammodels.js). */
+export function setSeamGeometry(seamMesh, { points, seamRadius, seamHeight }) {
+    seamMesh.geometry.dispose();
+    seamMesh.geometry = createSeamGeometry(points, seamRadius, seamHeight);
+}
+
 /**
  * Create the baseball group hierarchy and return references.
+ * @param {object} [seamModel] - { points, seamRadius, seamHeight } (seammodels.js); default regulation seam
  */
-export function createBaseball() {
+export function createBaseball(seamModel = null) {
     const spinAxisGroup = new THREE.Group();
     spinAxisGroup.name = 'SpinAxisGroup';
 
@@ -149,22 +179,8 @@ export function createBaseball() {
     ballOrientationGroup.add(ballMesh);
 
     // ── Seam (semi-embedded stitch) ────────────────────────
-    const seamPts = computeSeamPoints();
-    const sinkFactor = SEAM_TUBE_RADIUS * 0.5;
-    const seamVectors = [];
-    for (let i = 0; i < SEAM_POINTS; i++) {
-        const x = seamPts[i * 3];
-        const y = seamPts[i * 3 + 1];
-        const z = seamPts[i * 3 + 2];
-        const len = Math.sqrt(x * x + y * y + z * z);
-        seamVectors.push(new THREE.Vector3(
-            x - (x / len) * sinkFactor,
-            y - (y / len) * sinkFactor,
-            z - (z / len) * sinkFactor
-        ));
-    }
-    const seamCurve = new THREE.CatmullRomCurve3(seamVectors, true);
-    const seamGeo = new THREE.TubeGeometry(seamCurve, SEAM_POINTS, SEAM_TUBE_RADIUS, 8, true);
+    const seamPts = seamModel ? seamModel.points : computeSeamPoints();
+    const seamGeo = createSeamGeometry(seamPts, seamModel?.seamRadius, seamModel?.seamHeight);
     const seamMat = new THREE.MeshStandardMaterial({
         color: 0xcc2200, roughness: 0.6, metalness: 0.05,
         emissive: 0x330000, emissiveIntensity: 0.15,
@@ -221,6 +237,15 @@ export function createBaseball() {
     };
 }
 
+/** Spin axis unit vector in world space (see updateSpinAxis). */
+export function spinAxisVector(spinDirection, gyroAngle) {
+    const cg = Math.cos(gyroAngle);
+    const sg = Math.sin(gyroAngle);
+    const cs = Math.cos(spinDirection);
+    const ss = Math.sin(spinDirection);
+    return new THREE.Vector3(cg * cs, cg * ss, sg).normalize();
+}
+
 /**
  * Update SpinAxisGroup quaternion from spin direction & gyro angle.
  * Spin axis in world space:
@@ -228,12 +253,7 @@ export function createBaseball() {
  * We align local X-axis to this direction.
  */
 export function updateSpinAxis(spinAxisGroup, spinDirection, gyroAngle) {
-    const cg = Math.cos(gyroAngle);
-    const sg = Math.sin(gyroAngle);
-    const cs = Math.cos(spinDirection);
-    const ss = Math.sin(spinDirection);
-
-    const dir = new THREE.Vector3(cg * cs, cg * ss, sg).normalize();
+    const dir = spinAxisVector(spinDirection, gyroAngle);
     const defaultAxis = new THREE.Vector3(1, 0, 0);
 
     const quat = new THREE.Quaternion().setFromUnitVectors(defaultAxis, dir);
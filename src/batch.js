@@ -0,0 +1,146 @@
+import { computeSSW, angleToClockString, clockStringToAngle } from './ssw.js';
+import { DEG2RAD, SSW_PLANE_DEFAULTS } from './constants.js';
+import { canonicalOrientation } from './symmetry.js';
+
+/**
+ * Batch SSW scoring — DOM-free so it runs in the Node CLI as well as the browser.
+ *
+ * A pitch record uses the same units as the control panel sliders:
+ *   orientX/Y/Z     deg
+ *   spinDirection   slider deg (0–360) or clock string "h:mm"
+ *   gyroAngle       deg
+ *   5 SSW planes    deg (missing columns fall back to SSW_PLANE_DEFAULTS)
+ */
+
+export const PITCH_FIELDS = [
+    'orientX', 'orientY', 'orientZ',
+    'spinDirection', 'gyroAngle',
+    'alphaFrontDeg', 'inducedZoneDeg', 'inducedStartDeg', 'naturalZoneDeg', 'alphaBackDeg',
+];
+
+export const RESULT_FIELDS = [
+    'asymmetryIndex', 'sswEffectIndex', 'effectSumA', 'effectSumB', 'forceClock',
+    'canonicalX', 'canonicalY', 'canonicalZ',
+];
+
+/** Below this the force direction is meaningless (same threshold as the result card). */
+export const FORCE_CLOCK_MIN_EFFECT = 0.005;
+
+function toNumber(val, fallback) {
+    if (val === undefined || val === null || val === '') return fallback;
+    const n = typeof val === 'number' ? val : parseFloat(val);
+    return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Spin efficiency (%) → gyro angle (deg): efficiency = |cos(gyro)|.
+ * The sign can't be recovered from efficiency, so the caller picks it.
+ */
+export function spinEfficiencyToGyro(efficiencyPct, sign = 1) {
+    const safeVal = Math.max(0, Math.min(100, efficiencyPct));
+    return Math.acos(safeVal / 100) * (180 / Math.PI) * (sign < 0 ? -1 : 1);
+}
+
+/** Gyro angle (deg) → spin efficiency (%). */
+export function gyroToSpinEfficiency(gyroDeg) {
+    return Math.abs(Math.cos(gyroDeg * DEG2RAD)) * 100;
+}
+
+/**
+ * Convert a raw pitch record into computeSSW arguments (radians, spin direction +180°
+ * like UIControls.spinDirection). Throws on values that cannot be parsed.
+ */
+export function pitchToSSWParams(pitch) {
+    let spinSliderRad;
+    if (typeof pitch.spinDirection === 'string' && pitch.spinDirection.includes(':')) {
+        spinSliderRad = clockStringToAngle(pitch.spinDirection);
+    } else {
+        spinSliderRad = toNumber(pitch.spinDirection, 180) * DEG2RAD;
+    }
+
+    const params = {
+        orientX: toNumber(pitch.orientX, 0) * DEG2RAD,
+        orientY: toNumber(pitch.orientY, 0) * DEG2RAD,
+        orientZ: toNumber(pitch.orientZ, 0) * DEG2RAD,
+        spinDirection: spinSliderRad + Math.PI,
+        gyroAngle: toNumber(pitch.gyroAngle, 0) * DEG2RAD,
+    };
+    for (const key of Object.keys(SSW_PLANE_DEFAULTS)) {
+        params[key] = toNumber(pitch[key], SSW_PLANE_DEFAULTS[key]);
+    }
+
+    for (const [key, val] of Object.entries(params)) {
+        if (!Number.isFinite(val)) throw new Error(`Invalid value for "${key}": ${pitch[key]}`);
+    }
+    return params;
+}
+
+/** Canonical orientation (deg) of computeSSW params (rad). */
+function canonicalColumns(p) {
+    const c = canonicalOrientation({
+        orientX: p.orientX / DEG2RAD, orientY: p.orientY / DEG2RAD, orientZ: p.orientZ / DEG2RAD,
+    });
+    return { canonicalX: c.orientX, canonicalY: c.orientY, canonicalZ: c.orientZ };
+}
+
+const round = (v) => Math.round(v * 10) / 10 || 0; // 0.1°, no -0
+
+/**
+ * Key of a pitch record for grouping: canonical orientation, spin direction
+ * (mod 360°), gyro and the five planes, all to 0.1°. Rows with the same key
+ * describe the same ball and score the same. Throws like pitchToSSWParams.
+ */
+export function pitchKey(pitch) {
+    const p = pitchToSSWParams(pitch);
+    const c = canonicalColumns(p);
+    const spin = round((((p.spinDirection - Math.PI) / DEG2RAD) % 360 + 360) % 360) % 360;
+    return [
+        c.canonicalX, c.canonicalY, c.canonicalZ, spin, round(p.gyroAngle / DEG2RAD),
+        ...Object.keys(SSW_PLANE_DEFAULTS).map(key => round(p[key])),
+    ].join(',');
+}
+
+/**
+ * Group the rows that describe the same ball (pitchKey), in input order.
+ * Each group holds its first record and the indices of all its rows.
+ * @returns {{pitch: object, rows: number[]}[]}
+ */
+export function groupPitches(pitches) {
+    const groups = new Map();
+    pitches.forEach((pitch, i) => {
+        let key;
+        try {
+            key = pitchKey(pitch);
+        } catch (err) {
+            throw new Error(`Row ${i + 1}: ${err.message}`);
+        }
+        if (groups.has(key)) groups.get(key).rows.push(i);
+        else groups.set(key, { pitch, rows: [i] });
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Score one pitch record. Returns the SSW indices, the force direction as a
+ * clock string, and the canonical orientation (symmetry.js) so rows whose
+ * seams sit the same way can be grouped. `seamRadius` is the seam model's
+ * (seammodels.js); computeSSW's default fits the regulation ball.
+ */
+export function scorePitch(seamPts, pitch, fast = false, seamRadius = undefined) {
+    const p = pitchToSSWParams(pitch);
+    const res = computeSSW(
+        seamPts,
+        p.orientX, p.orientY, p.orientZ,
+        p.spinDirection, p.gyroAngle,
+        p.alphaFrontDeg, p.inducedZoneDeg, p.inducedStartDeg, p.naturalZoneDeg, p.alphaBackDeg,
+        fast, seamRadius
+    );
+    return {
+        asymmetryIndex: res.asymmetryIndex,
+        sswEffectIndex: res.sswEffectIndex,
+        effectSumA: res.effectSumA,
+        effectSumB: res.effectSumB,
+        forceClock: res.sswEffectIndex > FORCE_CLOCK_MIN_EFFECT ? angleToClockString(res.arrowAngle) : '—',
+        ...canonicalColumns(p),
+    };
+}
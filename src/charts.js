@@ -3,7 +3,11 @@ export class SSWCharts {
         this.containerId = containerId;
         this.charts = [];
         this.data = [];
-        this.currentGyro = 0;
+        this.currentX = 0;
+        // X axis (default: gyro angle sweep)
+        this.minX = -90;
+        this.maxX = 90;
+        this.xLabel = '';
 
         this._initCharts();
         window.addEventListener('resize', () => this.resize());
@@ -104,7 +108,7 @@ export class SSWCharts {
         wrapper.appendChild(canvas);
         this.container.appendChild(wrapper);
 
-        return { ctx, canvas, wrapper, lineColor, title, width, height, dpr };
+        return { ctx, canvas, wrapper, header, lineColor, title, width, height, dpr };
     }
 
     updateData(data) {
@@ -114,10 +118,23 @@ export class SSWCharts {
         this.draw();
     }
 
-    updateCursor(gyro) {
+    /** X value of the cursor, in the sweep's slider units (deg). */
+    updateCursor(x) {
         this._initCharts();
         if (this.charts.length === 0) return;
-        this.currentGyro = gyro; // in degrees
+        this.currentX = x;
+        this.draw();
+    }
+
+    /** Relabel the x-axis for a new sweep parameter/range. */
+    setAxis(minX, maxX, label) {
+        this._initCharts();
+        this.minX = minX;
+        this.maxX = maxX;
+        this.xLabel = label;
+        for (const chart of this.charts) {
+            chart.header.textContent = label ? `${chart.title} · ${label}` : chart.title;
+        }
         this.draw();
     }
 
@@ -139,8 +156,8 @@ export class SSWCharts {
         }
 
         // 1. Determine Scales
-        const minX = -90;
-        const maxX = 90;
+        const minX = this.minX;
+        const maxX = this.maxX;
 
         // Y for Hemispheres (Charts 0 & 1)
         let maxHemi = 0;
@@ -212,10 +229,11 @@ export class SSWCharts {
         ctx.font = '10px "Outfit", sans-serif';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        // X: -90, 0, 90
-        ctx.fillText('-90', mapX(-90), h - py + 3);
-        ctx.fillText('0', mapX(0), h - py + 3);
-        ctx.fillText('90', mapX(90), h - py + 3);
+        // X: min, mid, max
+        const midX = (minX + maxX) / 2;
+        ctx.fillText(formatTick(minX), mapX(minX), h - py + 3);
+        ctx.fillText(formatTick(midX), mapX(midX), h - py + 3);
+        ctx.fillText(formatTick(maxX), mapX(maxX), h - py + 3);
 
         // Y Min/Max
         ctx.textAlign = 'right';
@@ -235,7 +253,7 @@ export class SSWCharts {
 
         let first = true;
         for (const p of data) {
-            const x = mapX(p.gyro);
+            const x = mapX(p.x);
             const val = accessor(p);
             // Clamp value? Visual only needs calculate Y
             const y = mapY(val);
@@ -253,7 +271,7 @@ export class SSWCharts {
         ctx.stroke();
 
         // Draw Red Cursor Line
-        const cursorX = mapX(this.currentGyro);
+        const cursorX = mapX(this.currentX);
 
         if (cursorX >= px && cursorX <= w - px) {
             ctx.beginPath();
@@ -268,12 +286,12 @@ export class SSWCharts {
 
         // Draw Value Point
         const nearest = data.reduce((prev, curr) =>
-            Math.abs(curr.gyro - this.currentGyro) < Math.abs(prev.gyro - this.currentGyro) ? curr : prev
+            Math.abs(curr.x - this.currentX) < Math.abs(prev.x - this.currentX) ? curr : prev
         );
 
         if (nearest) {
             const val = accessor(nearest);
-            const cx = mapX(nearest.gyro);
+            const cx = mapX(nearest.x);
             const cy = mapY(val);
 
             // Draw point
@@ -297,3 +315,7 @@ export class SSWCharts {
         }
     }
 }
+
+function formatTick(v) {
+    return Number.isInteger(v) ? String(v) : v.toFixed(1);
+}
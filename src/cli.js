@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Headless batch SSW scoring.
+ *
+ * Usage:
+ *   node src/cli.js <pitches.csv|pitches.json> [-o results.csv|results.json] [--json] [--fast]
+ *                   [--dedupe] [--model mlb|ncaa|softball] [--seam seam.csv|seam.ply|seam.obj]
+ *
+ * Input rows/objects use the control panel units (see batch.js). Output keeps every
+ * input column and appends asymmetryIndex, sswEffectIndex, effectSumA, effectSumB, forceClock
+ * and the canonical orientation canonicalX/Y/Z (equal for seam-equivalent rows).
+ * Rows that describe the same ball (same canonical orientation, spin, gyro and
+ * planes; batch.js groupPitches) are scored once. --dedupe also writes them once:
+ * the first such row, with a `duplicates` column counting the rows folded into it.
+ * Without -o the results are written to stdout (CSV, or JSON with --json).
+ * --model picks the seam model (seammodels.js); the default is the MLB ball.
+ * --seam replaces the model's seam curve with measured centre-line points
+ * (seamimport.js); the fit error against the ideal seam goes to stderr.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { DEFAULT_SEAM_MODEL, getSeamModel, listSeamModels } from './seammodels.js';
+import { parseSeamFile, fitMeasuredSeam } from './seamimport.js';
+import { PITCH_FIELDS, RESULT_FIELDS, groupPitches, scorePitch } from './batch.js';
+import { parseCSV, toCSV } from './csv.js';
+
+const USAGE = 'Usage: node src/cli.js <pitches.csv|pitches.json> [-o results.csv|results.json] [--json] [--fast]'
+    + ` [--dedupe] [--model ${listSeamModels().map(m => m.id).join('|')}] [--seam seam.csv|seam.ply|seam.obj]`;
+
+function parseArgs(argv) {
+    const opts = { input: null, output: null, json: false, fast: false, dedupe: false, model: DEFAULT_SEAM_MODEL, seam: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-o' || arg === '--output') opts.output = argv[++i];
+        else if (arg === '--json') opts.json = true;
+        else if (arg === '--fast') opts.fast = true;
+        else if (arg === '--dedupe') opts.dedupe = true;
+        else if (arg === '--model') opts.model = argv[++i];
+        else if (arg === '--seam') opts.seam = argv[++i];
+        else if (arg === '-h' || arg === '--help') opts.help = true;
+        else if (!opts.input) opts.input = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    return opts;
+}
+
+function readPitches(file) {
+    const text = readFileSync(file, 'utf8');
+    if (extname(file).toLowerCase() === '.json') {
+        const data = JSON.parse(text);
+        const rows = Array.isArray(data) ? data : data.pitches;
+        if (!Array.isArray(rows)) throw new Error('JSON input must be an array or { "pitches": [...] }');
+        return rows;
+    }
+    return parseCSV(text);
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help || !opts.input) {
+        console.log(USAGE);
+        process.exit(opts.help ? 0 : 1);
+    }
+
+    if (!listSeamModels().some(m => m.id === opts.model)) throw new Error(`Unknown seam model: ${opts.model}`);
+    const pitches = readPitches(opts.input);
+    const model = getSeamModel(opts.model);
+    let seamPoints = model.points;
+    if (opts.seam) {
+        const fit = fitMeasuredSeam(parseSeamFile(readFileSync(opts.seam, 'utf8'), opts.seam));
+        const mm = (ballRadii) => (ballRadii * model.radius * 1000).toFixed(2);
+        console.error(`${opts.seam}: ${fit.count} points, fit error RMS ${mm(fit.rmsError)} mm, max ${mm(fit.maxError)} mm`);
+        seamPoints = fit.points;
+    }
+
+    const groups = groupPitches(pitches);
+    const scores = groups.map(g => scorePitch(seamPoints, g.pitch, opts.fast, model.seamRadius));
+    let results;
+    if (opts.dedupe) {
+        results = groups.map((g, k) => ({ ...g.pitch, ...scores[k], duplicates: g.rows.length - 1 }));
+    } else {
+        results = new Array(pitches.length);
+        groups.forEach((g, k) => g.rows.forEach(i => { results[i] = { ...pitches[i], ...scores[k] }; }));
+    }
+
+    const asJSON = opts.output ? extname(opts.output).toLowerCase() === '.json' : opts.json;
+    let text;
+    if (asJSON) {
+        text = JSON.stringify(results, null, 2) + '\n';
+    } else {
+        const inputCols = pitches.length ? Object.keys(pitches[0]) : PITCH_FIELDS;
+        const resultCols = opts.dedupe ? [...RESULT_FIELDS, 'duplicates'] : RESULT_FIELDS;
+        const columns = [...inputCols.filter(c => !resultCols.includes(c)), ...resultCols];
+        text = toCSV(results, columns);
+    }
+
+    if (opts.output) {
+        writeFileSync(opts.output, text);
+        console.error(`Scored ${groups.length} distinct of ${pitches.length} pitch(es) → ${opts.output}`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+}
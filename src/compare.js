@@ -0,0 +1,107 @@
+import { createBaseball, updateSpinAxis, updateBallOrientation } from './baseball.js';
+import { Dashboard } from './dashboard.js';
+import { angleToClockString } from './ssw.js';
+import { FORCE_CLOCK_MIN_EFFECT } from './batch.js';
+import { SSW_BINS } from './constants.js';
+
+/**
+ * A/B comparison — a second baseball ("B") with its own Dashboard.
+ *
+ * Modes:
+ *   'off'      B is hidden
+ *   'side'     main view is split; B is drawn in the right half (same camera)
+ *   'overlay'  B is drawn at the same spot as A: ghosted ball, blue seam,
+ *              its dashboard scaled outward so both sets of rings stay readable
+ */
+
+const OVERLAY_DASHBOARD_SCALE = 1.3;
+
+export class CompareBall {
+    constructor(scene) {
+        const { spinAxisGroup, ballOrientationGroup, ballMesh, seamMesh } = createBaseball();
+        this.spinAxisGroup = spinAxisGroup;
+        this.ballOrientationGroup = ballOrientationGroup;
+        this.ballMesh = ballMesh;
+        this.seamMesh = seamMesh;
+        this.seamColor = seamMesh.material.color.getHex();
+        scene.add(spinAxisGroup);
+
+        this.dashboard = new Dashboard(scene);
+        this.mode = 'off';
+        this.params = null; // computeSSW params (radians)
+        this.setMode('off');
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        const overlay = mode === 'overlay';
+        this.ballMesh.material.transparent = overlay;
+        this.ballMesh.material.opacity = overlay ? 0.25 : 1;
+        this.ballMesh.material.depthWrite = !overlay;
+        this.seamMesh.material.color.setHex(overlay ? 0x2563eb : this.seamColor);
+        const s = overlay ? OVERLAY_DASHBOARD_SCALE : 1;
+        this.dashboard.group.scale.set(s, s, s);
+        this.setVisible(mode !== 'off');
+    }
+
+    setVisible(visible) {
+        this.spinAxisGroup.visible = visible;
+        this.dashboard.group.visible = visible;
+    }
+
+    /** @param {object} params - computeSSW parameters in radians (see collectParams) */
+    setParams(params) {
+        this.params = params;
+        updateSpinAxis(this.spinAxisGroup, params.spinDirection, params.gyroAngle);
+    }
+
+    /** Follow the shared animation angle. */
+    spin(animationAngle) {
+        if (!this.params) return;
+        const { orientX, orientY, orientZ } = this.params;
+        updateBallOrientation(this.ballOrientationGroup, orientX, orientY, orientZ, animationAngle);
+    }
+
+    showResult(result, mode, visibleSeam, visibleContrib) {
+        this.dashboard.update(
+            mode,
+            result.histograms, result.combined,
+            result.contribHistograms, result.combinedContrib,
+            result.numSlices, result.zPlanes,
+            result.asymmetryIndex, result.arrowAngle, result.arrowWidth,
+            result.maxContribution,
+            visibleSeam, visibleContrib
+        );
+    }
+}
+
+/**
+ * Per-bin B − A difference of the combined histograms, plus the change in SSW
+ * effect and force direction. The direction delta is null when either side has
+ * too little effect for its force direction to mean anything.
+ */
+export function compareResults(a, b) {
+    const deltaCombined = new Float32Array(SSW_BINS);
+    const deltaContrib = new Float32Array(SSW_BINS);
+    for (let i = 0; i < SSW_BINS; i++) {
+        deltaCombined[i] = b.combined[i] - a.combined[i];
+        deltaContrib[i] = b.combinedContrib[i] - a.combinedContrib[i];
+    }
+
+    const hasDirA = a.sswEffectIndex > FORCE_CLOCK_MIN_EFFECT;
+    const hasDirB = b.sswEffectIndex > FORCE_CLOCK_MIN_EFFECT;
+    let deltaAngleDeg = null;
+    if (hasDirA && hasDirB) {
+        deltaAngleDeg = (b.arrowAngle - a.arrowAngle) * 180 / Math.PI;
+        deltaAngleDeg = ((deltaAngleDeg + 180) % 360 + 360) % 360 - 180;
+    }
+
+    return {
+        deltaCombined,
+        deltaContrib,
+        deltaEffect: b.sswEffectIndex - a.sswEffectIndex,
+        deltaAngleDeg,
+        clockA: hasDirA ? angleToClockString(a.arrowAngle) : '—',
+        clockB: hasDirB ? angleToClockString(b.arrowAngle) : '—',
+    };
+}
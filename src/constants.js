@@ -13,3 +13,12 @@ export const SSW_SLICE_COUNT = 50;
 export const BASE_THICKNESS = 0.054; // same as seam tube radius
 export const DEG2RAD = Math.PI / 180;
 export const RAD2DEG = 180 / Math.PI;
+
+// Default SSW plane angles (deg), front→back — same as the sliders in index.html
+export const SSW_PLANE_DEFAULTS = {
+    alphaFrontDeg: -11,
+    inducedZoneDeg: -0.6,
+    inducedStartDeg: 10,
+    naturalZoneDeg: 25.1,
+    alphaBackDeg: 30,
+};
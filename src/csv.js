@@ -0,0 +1,76 @@
+/**
+ * Minimal CSV helpers shared by the browser app and the Node CLI.
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ */
+
+/** Parse CSV text into an array of row objects keyed by the header row. */
+export function parseCSV(text) {
+    const rows = parseRows(text);
+    if (rows.length === 0) return [];
+    const header = rows[0].map(h => h.trim());
+    const out = [];
+    for (let r = 1; r < rows.length; r++) {
+        const row = rows[r];
+        // Skip blank lines
+        if (row.length === 1 && row[0].trim() === '') continue;
+        const obj = {};
+        for (let c = 0; c < header.length; c++) {
+            obj[header[c]] = row[c] !== undefined ? row[c].trim() : '';
+        }
+        out.push(obj);
+    }
+    return out;
+}
+
+/** Split CSV text into rows of raw string fields. */
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') { field += '"'; i++; }
+                else inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/** Serialize row objects to CSV text. Columns default to the first row's keys. */
+export function toCSV(rows, columns = rows.length ? Object.keys(rows[0]) : []) {
+    const lines = [columns.map(escapeField).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(c => escapeField(row[c])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function escapeField(val) {
+    if (val === undefined || val === null) return '';
+    const s = String(val);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -254,7 +254,7 @@ function setTri(posArr, colArr, idx, p1, p2, p3, r, g, b, a) {
 }
 
 /** Continuous rainbow: 0% = blue → cyan → green → yellow → 100% = red. */
-function heatColor(t) {
+export function heatColor(t) {
     const hue = (1 - t) * 240;
     return hsvToRgb(hue, 1.0, 1.0);
 }
@@ -0,0 +1,84 @@
+import { toCSV } from './csv.js';
+import { SSW_BINS } from './constants.js';
+import { FORCE_CLOCK_MIN_EFFECT } from './batch.js';
+import { angleToClockString } from './ssw.js';
+
+/**
+ * Result / curve export for analysis outside the app (R, Python, spreadsheets).
+ * DOM-free; the caller downloads the returned text.
+ *
+ * Histogram bins are 1° wide and run counter-clockwise from +X (the dashboard
+ * ring's frame); `angle_deg` is the bin's start angle. Slice rows carry the
+ * slice's z plane; the combined histograms use slice = "combined" and no z.
+ */
+
+const INDEX_FIELDS = ['asymmetryIndex', 'sswEffectIndex', 'effectSumA', 'effectSumB', 'arrowAngle', 'maxContribution'];
+
+function indices(result) {
+    const out = {};
+    for (const key of INDEX_FIELDS) out[key] = result[key];
+    out.forceClock = result.sswEffectIndex > FORCE_CLOCK_MIN_EFFECT ? angleToClockString(result.arrowAngle) : '';
+    return out;
+}
+
+/**
+ * @param {object} result - single computeSSW result
+ * @param {object} params - control values in slider units (UIControls.getState().params)
+ */
+export function resultToJSON(result, params) {
+    return JSON.stringify({
+        params,
+        indices: indices(result),
+        numSlices: result.numSlices,
+        zPlanes: Array.from(result.zPlanes),
+        combined: Array.from(result.combined),
+        combinedContrib: Array.from(result.combinedContrib),
+        histograms: result.histograms.map(h => Array.from(h)),
+        contribHistograms: result.contribHistograms.map(h => Array.from(h)),
+        attribution: result.attribution && {
+            sumA: Array.from(result.attribution.sumA),
+            sumB: Array.from(result.attribution.sumB),
+        },
+    }, null, 2);
+}
+
+/** Long-format histogram table: slice, z, bin, angle_deg, presence, contribution. */
+export function resultHistogramsToCSV(result) {
+    const rows = [];
+    const push = (slice, z, presence, contrib) => {
+        for (let bin = 0; bin < SSW_BINS; bin++) {
+            rows.push({
+                slice, z, bin,
+                angle_deg: bin * 360 / SSW_BINS,
+                presence: presence[bin],
+                contribution: contrib[bin],
+            });
+        }
+    };
+    push('combined', '', result.combined, result.combinedContrib);
+    for (let s = 0; s < result.numSlices; s++) {
+        push(s, result.zPlanes[s], result.histograms[s], result.contribHistograms[s]);
+    }
+    return toCSV(rows, ['slice', 'z', 'bin', 'angle_deg', 'presence', 'contribution']);
+}
+
+/** One-row table: control values followed by the result indices. */
+export function resultSummaryToCSV(result, params) {
+    const row = { ...params, ...indices(result) };
+    return toCSV([row], [...Object.keys(params), ...INDEX_FIELDS, 'forceClock']);
+}
+
+/**
+ * @param {{sweep:object, data:{x:number}[]}} curve - worker curve message
+ * @param {object} params - control values in slider units
+ */
+export function curveToJSON(curve, params) {
+    return JSON.stringify({ params, sweep: curve.sweep, data: curve.data }, null, 2);
+}
+
+/** Curve table; the x column is named after the swept parameter. */
+export function curveToCSV(curve) {
+    const param = curve.sweep.param;
+    const rows = curve.data.map(({ x, ...rest }) => ({ [param]: x, ...rest }));
+    return toCSV(rows, [param, 'sswEffectIndex', 'effectSumA', 'effectSumB']);
+}
@@ -0,0 +1,163 @@
+/**
+ * A/B difference chart — per-bin B − A delta of the combined seam presence
+ * (top) and combined SSW contribution (bottom) around the dashboard ring,
+ * with the SSW effect and force direction change in the header.
+ * Bins run counter-clockwise from +X like the dashboard (0° = 3:00 in the
+ * spin direction slider's clock).
+ */
+export class DiffChart {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.diff = null;
+        this.width = 100;
+        this.height = 100;
+        this._build();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    _build() {
+        if (!this.container) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        wrapper.style.borderRadius = '6px';
+        wrapper.style.padding = '4px 8px';
+        wrapper.style.pointerEvents = 'auto';
+        wrapper.style.display = 'none'; // shown in compare mode
+
+        const header = document.createElement('div');
+        header.style.color = '#cbd5e1';
+        header.style.fontSize = '12px';
+        header.style.marginBottom = '2px';
+        header.style.fontWeight = '600';
+        header.style.fontFamily = "'Outfit', sans-serif";
+        header.style.fontVariantNumeric = 'tabular-nums';
+
+        const canvas = document.createElement('canvas');
+        canvas.style.width = '100%';
+        canvas.style.display = 'block';
+
+        wrapper.appendChild(header);
+        wrapper.appendChild(canvas);
+        this.container.appendChild(wrapper);
+
+        this.wrapper = wrapper;
+        this.header = header;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    setVisible(visible) {
+        if (!this.wrapper) return;
+        this.wrapper.style.display = visible ? 'block' : 'none';
+        if (visible) this.resize();
+    }
+
+    resize() {
+        if (!this.wrapper || this.wrapper.style.display === 'none') return;
+        const rect = this.wrapper.getBoundingClientRect();
+        const width = Math.floor(rect.width) - 16; // minus horizontal padding
+        if (width <= 0) return;
+        const height = 120;
+        const dpr = window.devicePixelRatio || 1;
+
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.height = `${height}px`;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.scale(dpr, dpr);
+        this.draw();
+    }
+
+    /** @param {ReturnType<import('./compare.js').compareResults>|null} diff */
+    update(diff) {
+        this.diff = diff;
+        this._updateHeader();
+        this.draw();
+    }
+
+    _updateHeader() {
+        if (!this.header) return;
+        const d = this.diff;
+        if (!d) {
+            this.header.textContent = 'A/B 差異';
+            return;
+        }
+        const sign = (v) => (v >= 0 ? '+' : '');
+        const dir = d.deltaAngleDeg === null ? '—' : `${sign(d.deltaAngleDeg)}${d.deltaAngleDeg.toFixed(0)}°`;
+        this.header.textContent =
+            `A/B 差異 · ΔSSW ${sign(d.deltaEffect)}${d.deltaEffect.toFixed(2)} · ` +
+            `Δ方向 ${dir} (${d.clockA} → ${d.clockB})`;
+    }
+
+    draw() {
+        if (!this.ctx) return;
+        const { ctx, width: w, height: h } = this;
+        ctx.clearRect(0, 0, w, h);
+
+        if (!this.diff) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.font = '14px "Outfit", sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('計算中...', w / 2, h / 2);
+            return;
+        }
+
+        const half = h / 2;
+        this._drawTrace(this.diff.deltaCombined, 0, half - 2, '#f97316', '縫線');
+        this._drawTrace(this.diff.deltaContrib, half + 2, half - 2, '#22c55e', '貢獻');
+    }
+
+    _drawTrace(values, top, height, color, label) {
+        const { ctx, width: w } = this;
+        let extent = 0;
+        for (const v of values) extent = Math.max(extent, Math.abs(v));
+        if (extent === 0) extent = 1;
+
+        const mid = top + height / 2;
+        const mapX = (i) => (i / (values.length - 1)) * w;
+        const mapY = (v) => mid - (v / extent) * (height / 2);
+
+        // Quarter grid (0°, 90°, 180°, 270°) + zero line
+        ctx.strokeStyle = '#1e293b';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let q = 1; q < 4; q++) {
+            const x = (q / 4) * w;
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, top + height);
+        }
+        ctx.stroke();
+        ctx.strokeStyle = '#475569';
+        ctx.beginPath();
+        ctx.moveTo(0, mid);
+        ctx.lineTo(w, mid);
+        ctx.stroke();
+
+        // Delta as filled area around zero
+        ctx.beginPath();
+        ctx.moveTo(mapX(0), mid);
+        for (let i = 0; i < values.length; i++) ctx.lineTo(mapX(i), mapY(values[i]));
+        ctx.lineTo(mapX(values.length - 1), mid);
+        ctx.closePath();
+        ctx.fillStyle = color + '66';
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < values.length; i++) {
+            if (i === 0) ctx.moveTo(mapX(i), mapY(values[i]));
+            else ctx.lineTo(mapX(i), mapY(values[i]));
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '10px "Outfit", sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${label} ±${extent.toFixed(extent < 0.1 ? 3 : 2)}`, 2, top);
+    }
+}
@@ -0,0 +1,16 @@
+/** Save a Blob as a file through a temporary <a download> link. */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadText(text, fileName, type = 'text/plain') {
+    downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), fileName);
+}
@@ -0,0 +1,70 @@
+import { createZip } from './zip.js';
+import { encodeAPNG } from './apng.js';
+
+/**
+ * Frame-sequence export of the spin animation.
+ *
+ * The ball angle of frame i is fixed by the frame index alone,
+ *   angle_i = startAngle + 2π · (spinRate / 60) · (i / fps),
+ * so the output does not depend on display refresh or on how long each
+ * frame takes to render (unlike AnimationController.tick, which integrates
+ * real elapsed time).
+ */
+
+export const FRAME_SIZES = {
+    '480p': [854, 480],
+    '720p': [1280, 720],
+    '1080p': [1920, 1080],
+    'square': [720, 720],
+};
+
+/** Ball angles (radians) for `count` frames at `fps`, spinning at `spinRate` rpm. */
+export function frameAngles(count, fps, spinRate, startAngle = 0) {
+    const radsPerFrame = (spinRate / 60) * Math.PI * 2 / fps;
+    return Array.from({ length: count }, (_, i) => startAngle + i * radsPerFrame);
+}
+
+/** Frames needed for a whole number of turns, i.e. a seamless loop. */
+export function loopFrameCount(fps, spinRate, turns = 1) {
+    return Math.max(1, Math.round(turns * 60 * fps / spinRate));
+}
+
+function canvasToPNG(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) { reject(new Error('PNG encoding failed')); return; }
+            blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+        }, 'image/png');
+    });
+}
+
+/**
+ * Render and PNG-encode every frame. Encoding is awaited per frame, which also
+ * lets the page repaint (progress) between frames.
+ * @param {number[]} angles - from frameAngles
+ * @param {(angle:number, index:number) => HTMLCanvasElement} renderFrame
+ * @param {(done:number, total:number) => void} [onProgress]
+ * @returns {Promise<Uint8Array[]>}
+ */
+export async function renderFrames(angles, renderFrame, onProgress) {
+    const pngs = [];
+    for (let i = 0; i < angles.length; i++) {
+        pngs.push(await canvasToPNG(renderFrame(angles[i], i)));
+        if (onProgress) onProgress(i + 1, angles.length);
+    }
+    return pngs;
+}
+
+/**
+ * Package PNG frames for download.
+ * @param {'zip'|'apng'} format
+ * @returns {{blob: Blob, fileName: string}}
+ */
+export function packageFrames(pngs, format, fps, baseName = 'ssw-spin') {
+    if (format === 'apng') {
+        return { blob: encodeAPNG(pngs, fps), fileName: `${baseName}.png` };
+    }
+    const digits = String(pngs.length - 1).length;
+    const files = pngs.map((data, i) => ({ name: `${baseName}/frame_${String(i).padStart(Math.max(4, digits), '0')}.png`, data }));
+    return { blob: createZip(files), fileName: `${baseName}.zip` };
+}
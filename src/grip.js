@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+import { R } from './constants.js';
+
+/**
+ * Grip markers — where the index, middle finger and thumb sit on the ball.
+ *
+ * Markers are stored in the ball's own frame (the frame of the seam points),
+ * so they rotate with ballOrientationGroup and stay valid when the orientation
+ * changes. At release the fingers sit on the back of the ball (+Z, the
+ * pitcher's side) and push it along the release direction; gripOrientation
+ * turns that into the world orientation of the ball.
+ */
+
+export const FINGERS = ['index', 'middle', 'thumb'];
+
+const FINGER_COLORS = { index: 0x22c55e, middle: 0x3b82f6, thumb: 0xf59e0b };
+const MARKER_RADIUS = R * 0.09;
+
+const BACK = new THREE.Vector3(0, 0, 1);
+
+/** Finger markers drawn as small spheres on the ball surface. */
+export class GripMarkers {
+    constructor(ballOrientationGroup) {
+        this.group = new THREE.Group();
+        this.group.name = 'GripMarkers';
+        ballOrientationGroup.add(this.group);
+        this.meshes = {};
+        const geo = new THREE.SphereGeometry(MARKER_RADIUS, 16, 12);
+        for (const finger of FINGERS) {
+            const mesh = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({
+                color: FINGER_COLORS[finger], roughness: 0.4, emissive: FINGER_COLORS[finger], emissiveIntensity: 0.25,
+            }));
+            mesh.name = `GripMarker-${finger}`;
+            mesh.visible = false;
+            this.group.add(mesh);
+            this.meshes[finger] = mesh;
+        }
+    }
+
+    /** Unit direction of a finger in the ball frame, or null when not placed. */
+    get(finger) {
+        const mesh = this.meshes[finger];
+        return mesh.visible ? mesh.position.clone().normalize() : null;
+    }
+
+    /** @param {THREE.Vector3|null} dir - ball-frame direction (any length); null removes the marker */
+    set(finger, dir) {
+        const mesh = this.meshes[finger];
+        if (!mesh) return;
+        mesh.visible = !!dir && dir.lengthSq() > 0;
+        if (mesh.visible) mesh.position.copy(dir).setLength(R);
+    }
+
+    clear() {
+        for (const finger of FINGERS) this.set(finger, null);
+    }
+
+    get count() {
+        return FINGERS.filter(f => this.meshes[f].visible).length;
+    }
+
+    /** { index: [x, y, z], … } unit vectors for the placed fingers (scenario state). */
+    toJSON() {
+        const out = {};
+        for (const finger of FINGERS) {
+            const dir = this.get(finger);
+            if (dir) out[finger] = dir.toArray().map(v => Math.round(v * 1e5) / 1e5);
+        }
+        return out;
+    }
+
+    load(markers) {
+        for (const finger of FINGERS) {
+            const v = markers?.[finger];
+            const valid = Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+            this.set(finger, valid ? new THREE.Vector3().fromArray(v) : null);
+        }
+    }
+}
+
+/**
+ * World orientation of the ball at release for a grip.
+ *
+ * The finger pad (index and middle, either one if only one is placed) turns
+ * to the back of the ball; the thumb → finger pad direction, taken along the
+ * surface at the pad, turns to the release direction.
+ *
+ * @param {{index?:THREE.Vector3, middle?:THREE.Vector3, thumb?:THREE.Vector3}} fingers - ball-frame directions
+ * @param {number} releaseAngle - release direction in the XY plane (rad, 0 = +X CCW, as clockStringToAngle)
+ * @returns {THREE.Quaternion|null} rotation taking the ball frame to the world, or null if the grip
+ *          is under-determined (no finger pad, no thumb, or thumb opposite the pad)
+ */
+export function gripOrientation({ index, middle, thumb }, releaseAngle) {
+    if (!thumb || !(index || middle) || !Number.isFinite(releaseAngle)) return null;
+    const pad = new THREE.Vector3();
+    if (index) pad.add(index.clone().normalize());
+    if (middle) pad.add(middle.clone().normalize());
+    if (pad.lengthSq() < 1e-8) return null;
+    pad.normalize();
+
+    // Thumb → pad, projected onto the tangent plane at the pad
+    const push = pad.clone().sub(thumb.clone().normalize());
+    push.addScaledVector(pad, -push.dot(pad));
+    if (push.lengthSq() < 1e-8) return null;
+    push.normalize();
+
+    const release = new THREE.Vector3(Math.cos(releaseAngle), Math.sin(releaseAngle), 0);
+    const from = new THREE.Matrix4().makeBasis(pad, push, pad.clone().cross(push));
+    const to = new THREE.Matrix4().makeBasis(BACK, release, BACK.clone().cross(release));
+    return new THREE.Quaternion().setFromRotationMatrix(to.multiply(from.transpose()));
+}
@@ -24,6 +24,45 @@ const T = {
         play: '▶ 播放',
         pause: '⏸ 暫停',
         dragAxis: '拖曳軸',
+        dragFree: '自由',
+        axisAngle: '軸角',
+        quaternion: '四元數',
+        applyAxisAngle: '套用軸角',
+        applyQuat: '套用四元數',
+        canonicalOrientation: '標準方向',
+        seamModel: '球與縫線模型',
+        ballType: '球種',
+        seamModelMLB: 'MLB 職棒用球',
+        seamModelNCAA: 'NCAA 高縫線球',
+        seamModelSoftball: '壘球 (12")',
+        seamModelCustom: '自訂',
+        seamPinch: '縫線收縮',
+        ballCircumference: '圓周 (in)',
+        seamWidthMm: '縫線寬 (mm)',
+        seamHeightMm: '縫線高 (mm)',
+        ballMassG: '重量 (g)',
+        ballDiameter: '直徑',
+        seamWidth: '縫線寬',
+        seamHeight: '縫線高',
+        importSeam: '匯入量測縫線 (CSV/PLY/OBJ)',
+        seamPointsRead: '點',
+        seamFitting: '縫線擬合中…',
+        measuredSeamNotInLink: '量測縫線不會存入網址，請儲存專案保留',
+        seamFitError: '與理想縫線差距',
+        sphereFitError: '偏離球面',
+        grip: '握法',
+        placeFinger: '放置手指',
+        gripOff: '關閉',
+        fingerIndex: '食指',
+        fingerMiddle: '中指',
+        fingerThumb: '拇指',
+        releaseDirection: '出手方向',
+        applyGrip: '由握法設定方向',
+        clearGrip: '清除標記',
+        gripHint: '選擇手指後點擊球面放置標記',
+        gripPlaced: '個手指標記',
+        gripNeedFingers: '需要拇指與食指或中指',
+        gripApplied: '方向已由握法設定',
         sswResults: 'SSW 結果',
         asymmetryIndex: '不對稱指數',
         sswEffectIndex: 'SSW效果指數',
@@ -34,6 +73,105 @@ const T = {
         topView: '俯視圖',
         noAsymmetry: '—',
         rpm: 'RPM',
+        optimizer: '逆向設計',
+        optimizeObjective: '搜尋目標',
+        objectiveMax: '最大SSW',
+        objectiveMin: '最小SSW',
+        objectiveClock: '指定方向',
+        targetClock: '目標力方向',
+        runOptimizer: '搜尋方向',
+        optimizing: '搜尋中',
+        noCandidates: '沒有結果',
+        curveSweep: '曲線掃描',
+        sweepParam: '掃描參數',
+        sweepMin: '起點',
+        sweepMax: '終點',
+        sweepStep: '間隔',
+        atlas: '設計空間圖',
+        atlasX: 'X 軸',
+        atlasY: 'Y 軸',
+        computeAtlas: '計算設計空間圖',
+        velocity: '球速 (mph)',
+        inducedVertBreak: '垂直位移 (in)',
+        horizBreak: '水平位移 (in)',
+        plateLocation: '進壘點 (ft)',
+        trajectory: '飛行軌跡',
+        batterView: '打者視覺 (旋轉平均)',
+        seamColor: '縫線著色',
+        seamColorPlain: '原色',
+        seamZones: '分離區',
+        seamZonesHint: '分離區：綠 = 直接分離，藍 = 誘發分離',
+        seamAttribution: '貢獻歸因',
+        seamAttributionHint: '貢獻歸因：紅 = 半球 1，藍 = 半球 2',
+        seamArcs: '縫線貢獻排名',
+        seamArcTurn: '彎道',
+        seamArcStraight: '直段',
+        hemisphere: '半球',
+        axisDeviation: '旋轉軸偏差',
+        importPitches: '匯入投球資料',
+        chooseFile: '選擇檔案 (CSV/JSON)',
+        importedCount: '筆投球',
+        importFailed: '匯入失敗',
+        presets: '縫線方向預設',
+        presetName: '名稱',
+        savePreset: '儲存目前方向',
+        exportPresets: '匯出 JSON',
+        importPresets: '匯入 JSON',
+        presetsImported: '個預設已匯入',
+        presetNameRequired: '請輸入名稱',
+        presetDuplicate: '已有相同方向的預設',
+        deletePreset: '刪除',
+        presetFourSeam: '四縫線速球',
+        presetTwoSeam: '二縫線速球',
+        presetOneSeam: '一縫線變速球',
+        presetSSWSinker: '縫線偏移伸卡球',
+        presetCurveball: '曲球',
+        presetSweeper: '橫掃滑球',
+        session: '專案檔',
+        scenario: '情境',
+        scenarioName: '情境名稱',
+        scenarioNotes: '備註',
+        addScenario: '新增情境',
+        deleteScenario: '刪除情境',
+        saveSession: '儲存專案',
+        openSession: '開啟專案',
+        sessionOpened: '已開啟',
+        sessionFailed: '開啟失敗',
+        compare: 'A/B 比較',
+        compareOff: '關閉',
+        compareSide: '並排',
+        compareOverlay: '重疊',
+        comparePin: '目前設定存為 B',
+        compareSwap: '交換 A/B',
+        arsenal: '球種庫',
+        pitchName: '球種',
+        forceDirectionShort: '方向',
+        arsenalAdd: '加入目前設定',
+        arsenalUpdate: '更新選取球種',
+        arsenalEmpty: '尚未加入球種',
+        export: '匯出',
+        exportResult: '目前結果',
+        exportCurve: '曲線資料',
+        exportImage: '圖片',
+        imageSize: '解析度',
+        imageBackground: '背景',
+        backgroundSolid: '實色',
+        backgroundTransparent: '透明',
+        imageTopView: '俯視圖',
+        imageOverlays: '標籤與圖例',
+        exportPNG: '匯出 PNG',
+        exportFrames: '旋轉動畫影格',
+        frameFormat: '格式',
+        frameFormatZip: 'PNG 序列 (zip)',
+        frameFormatAPNG: '動態 PNG',
+        frameCount: '影格數',
+        frameFps: 'FPS',
+        frameRpm: '轉速 (rpm)',
+        frameLoop: '一圈循環',
+        exportFramesBtn: '匯出影格',
+        imageExportFailed: '圖片匯出失敗，解析度可能過高',
+        framesProgress: '繪製影格',
+        framesDone: '已匯出影格',
     },
     en: {
         title: 'Baseball Spin SSW Analyzer',
@@ -60,6 +198,45 @@ const T = {
         play: '▶ Play',
         pause: '⏸ Pause',
         dragAxis: 'Drag Axis',
+        dragFree: 'Free',
+        axisAngle: 'Axis-Angle',
+        quaternion: 'Quaternion',
+        applyAxisAngle: 'Apply Axis-Angle',
+        applyQuat: 'Apply Quaternion',
+        canonicalOrientation: 'Canonical',
+        seamModel: 'Ball & Seam Model',
+        ballType: 'Ball',
+        seamModelMLB: 'MLB baseball',
+        seamModelNCAA: 'NCAA raised seam',
+        seamModelSoftball: 'Softball (12")',
+        seamModelCustom: 'Custom',
+        seamPinch: 'Seam Pinch',
+        ballCircumference: 'Circumference (in)',
+        seamWidthMm: 'Seam Width (mm)',
+        seamHeightMm: 'Seam Height (mm)',
+        ballMassG: 'Mass (g)',
+        ballDiameter: 'Diameter',
+        seamWidth: 'Seam width',
+        seamHeight: 'Seam height',
+        importSeam: 'Import Measured Seam (CSV/PLY/OBJ)',
+        seamPointsRead: 'points',
+        seamFitting: 'Fitting seam…',
+        measuredSeamNotInLink: 'measured seams are not kept in links; save a session to keep one',
+        seamFitError: 'Fit error vs. ideal seam',
+        sphereFitError: 'off sphere',
+        grip: 'Grip',
+        placeFinger: 'Place Finger',
+        gripOff: 'Off',
+        fingerIndex: 'Index',
+        fingerMiddle: 'Middle',
+        fingerThumb: 'Thumb',
+        releaseDirection: 'Release Direction',
+        applyGrip: 'Orient from Grip',
+        clearGrip: 'Clear Markers',
+        gripHint: 'Pick a finger, then click the ball to place it',
+        gripPlaced: 'finger marker(s) placed',
+        gripNeedFingers: 'Needs the thumb and the index or middle finger',
+        gripApplied: 'Orientation set from the grip',
         sswResults: 'SSW Results',
         asymmetryIndex: 'Asymmetry Index',
         sswEffectIndex: 'SSW Effect Index',
@@ -70,6 +247,105 @@ const T = {
         topView: 'Top View',
         noAsymmetry: '—',
         rpm: 'RPM',
+        optimizer: 'Inverse Design',
+        optimizeObjective: 'Objective',
+        objectiveMax: 'Max SSW',
+        objectiveMin: 'Min SSW',
+        objectiveClock: 'Target Dir.',
+        targetClock: 'Target Force Dir.',
+        runOptimizer: 'Search Orientations',
+        optimizing: 'Searching',
+        noCandidates: 'No results',
+        curveSweep: 'Curve Sweep',
+        sweepParam: 'Sweep Parameter',
+        sweepMin: 'From',
+        sweepMax: 'To',
+        sweepStep: 'Step',
+        atlas: 'Orientation Atlas',
+        atlasX: 'X Axis',
+        atlasY: 'Y Axis',
+        computeAtlas: 'Compute Atlas',
+        velocity: 'Velocity (mph)',
+        inducedVertBreak: 'Induced Vert. Break (in)',
+        horizBreak: 'Horizontal Break (in)',
+        plateLocation: 'Plate Location (ft)',
+        trajectory: 'Trajectory',
+        batterView: 'Batter\'s View (spin-averaged)',
+        seamColor: 'Seam Colour',
+        seamColorPlain: 'Plain',
+        seamZones: 'SSW Zones',
+        seamZonesHint: 'Zones: green = direct separation, blue = induced separation',
+        seamAttribution: 'Attribution',
+        seamAttributionHint: 'Attribution: red = hemisphere 1, blue = hemisphere 2',
+        seamArcs: 'Seam Arc Ranking',
+        seamArcTurn: 'U-turn',
+        seamArcStraight: 'Straight',
+        hemisphere: 'Hemisphere',
+        axisDeviation: 'Spin Axis Deviation',
+        importPitches: 'Import Pitch Data',
+        chooseFile: 'Choose File (CSV/JSON)',
+        importedCount: 'pitches',
+        importFailed: 'Import failed',
+        presets: 'Seam Presets',
+        presetName: 'Name',
+        savePreset: 'Save Current Orientation',
+        exportPresets: 'Export JSON',
+        importPresets: 'Import JSON',
+        presetsImported: 'presets imported',
+        presetNameRequired: 'Enter a name',
+        presetDuplicate: 'Same orientation as preset',
+        deletePreset: 'Delete',
+        presetFourSeam: '4-Seam Fastball',
+        presetTwoSeam: '2-Seam Fastball',
+        presetOneSeam: 'One-Seam Changeup',
+        presetSSWSinker: 'Seam-Shifted Sinker',
+        presetCurveball: 'Curveball',
+        presetSweeper: 'Sweeper',
+        session: 'Session',
+        scenario: 'Scenario',
+        scenarioName: 'Scenario Name',
+        scenarioNotes: 'Notes',
+        addScenario: 'New Scenario',
+        deleteScenario: 'Delete Scenario',
+        saveSession: 'Save Session',
+        openSession: 'Open Session',
+        sessionOpened: 'Opened',
+        sessionFailed: 'Could not open session',
+        compare: 'A/B Comparison',
+        compareOff: 'Off',
+        compareSide: 'Side by Side',
+        compareOverlay: 'Overlay',
+        comparePin: 'Pin Current as B',
+        compareSwap: 'Swap A/B',
+        arsenal: 'Pitch Arsenal',
+        pitchName: 'Pitch',
+        forceDirectionShort: 'Dir.',
+        arsenalAdd: 'Add Current',
+        arsenalUpdate: 'Update Selected',
+        arsenalEmpty: 'No pitches yet',
+        export: 'Export',
+        exportResult: 'Current Result',
+        exportCurve: 'Curve Data',
+        exportImage: 'Image',
+        imageSize: 'Resolution',
+        imageBackground: 'Background',
+        backgroundSolid: 'Solid',
+        backgroundTransparent: 'Transparent',
+        imageTopView: 'Top View',
+        imageOverlays: 'Labels & Legends',
+        exportPNG: 'Export PNG',
+        exportFrames: 'Spin Animation Frames',
+        frameFormat: 'Format',
+        frameFormatZip: 'PNG sequence (zip)',
+        frameFormatAPNG: 'Animated PNG',
+        frameCount: 'Frames',
+        frameFps: 'FPS',
+        frameRpm: 'Spin (rpm)',
+        frameLoop: 'One-Turn Loop',
+        exportFramesBtn: 'Export Frames',
+        imageExportFailed: 'Image export failed; the size may be too large',
+        framesProgress: 'Rendering frames',
+        framesDone: 'Frames exported',
     },
 };
 
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+
+/**
+ * High-resolution image export.
+ *
+ * The 3D views are re-rendered offscreen at the requested size (not grabbed
+ * from the on-screen canvas), then composited on a 2D canvas together with
+ * optional redraws of the DOM overlays: hemisphere labels, colour legends and
+ * the result card. Overlay sizes follow the on-screen CSS, scaled by the
+ * export height / window height so proportions match what the user sees.
+ */
+
+export const IMAGE_SIZES = {
+    '1080p': [1920, 1080],
+    '1440p': [2560, 1440],
+    '4k': [3840, 2160],
+    'square': [2048, 2048],
+};
+
+const LEGEND_GRADIENT = ['#ff0000', '#ffff00', '#00ff00', '#00ffff', '#0000ff']; // top → bottom, as in CSS
+const FONT = "'Outfit', sans-serif";
+
+/**
+ * WebGL renderer for export frames, separate from the live one so its size and
+ * clear colour can change freely. Colour settings follow the live renderer so
+ * images match the app. Call `dispose()` when done.
+ */
+export function createExportRenderer(liveRenderer, width, height) {
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    renderer.outputColorSpace = liveRenderer.outputColorSpace;
+    renderer.toneMapping = liveRenderer.toneMapping;
+    renderer.toneMappingExposure = liveRenderer.toneMappingExposure;
+    const clearColor = liveRenderer.getClearColor(new THREE.Color());
+
+    return {
+        /** Render `scene` through a copy of `camera`; returns a 2D canvas with the image. */
+        render(scene, camera, w, h, { transparent = false } = {}) {
+            renderer.setSize(w, h, false);
+            const cam = camera.clone();
+            if (cam.isPerspectiveCamera) {
+                cam.aspect = w / h;
+                cam.updateProjectionMatrix();
+            }
+
+            const background = scene.background;
+            if (transparent) {
+                scene.background = null;
+                renderer.setClearColor(0x000000, 0);
+            } else {
+                renderer.setClearColor(clearColor, 1);
+            }
+            renderer.render(scene, cam);
+            scene.background = background;
+
+            const out = document.createElement('canvas');
+            out.width = w;
+            out.height = h;
+            out.getContext('2d').drawImage(renderer.domElement, 0, 0);
+            return out;
+        },
+
+        dispose() {
+            renderer.dispose();
+            renderer.forceContextLoss();
+        },
+    };
+}
+
+/** One-off render with a throwaway export renderer. */
+export function renderOffscreen(liveRenderer, scene, camera, width, height, options) {
+    const exporter = createExportRenderer(liveRenderer, width, height);
+    const out = exporter.render(scene, camera, width, height, options);
+    exporter.dispose();
+    return out;
+}
+
+/** Project a world position to pixel coordinates of a width × height image. */
+export function projectToImage(pos, camera, width, height) {
+    const cam = camera.clone();
+    cam.aspect = width / height;
+    cam.updateProjectionMatrix();
+    const v = pos.clone().project(cam);
+    if (Math.abs(v.z) > 1) return null; // behind the camera
+    return { x: (v.x + 1) / 2 * width, y: (1 - v.y) / 2 * height };
+}
+
+/**
+ * Composite the export image.
+ * @param {object} opts
+ * @param {HTMLCanvasElement} opts.main - main view (defines the output size)
+ * @param {HTMLCanvasElement} [opts.top] - top view, drawn as an inset in the top-left corner
+ * @param {{text:string, x:number, y:number}[]} [opts.labels] - hemisphere labels in image pixels
+ * @param {HTMLElement[]} [opts.legends] - .legend-card elements, stacked bottom-right
+ * @param {HTMLElement} [opts.resultCard] - result card element, top-right
+ * @returns {HTMLCanvasElement}
+ */
+export function composeImage({ main, top = null, labels = [], legends = [], resultCard = null }) {
+    const { width, height } = main;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const s = height / window.innerHeight;
+    const margin = 20 * s;
+
+    ctx.drawImage(main, 0, 0);
+
+    if (top) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.roundRect(margin, margin, top.width, top.height, 12 * s);
+        ctx.clip();
+        ctx.drawImage(top, margin, margin);
+        ctx.restore();
+    }
+
+    for (const l of labels) {
+        ctx.font = `700 ${14 * s}px ${FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        ctx.shadowBlur = 5 * s;
+        ctx.fillStyle = '#fff';
+        ctx.fillText(l.text, l.x, l.y);
+        ctx.shadowBlur = 0;
+    }
+
+    if (resultCard) drawResultCard(ctx, resultCard, width - margin - 200 * s, margin, s);
+
+    let right = width - margin;
+    for (const el of [...legends].reverse()) {
+        right = drawLegend(ctx, el, right, height - margin, s) - 10 * s;
+    }
+    return canvas;
+}
+
+function roundedBox(ctx, x, y, w, h, r, fill) {
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, r);
+    ctx.fillStyle = fill;
+    ctx.fill();
+}
+
+/** Result card: title, then label / value rows; extra notes in their own colour. */
+function drawResultCard(ctx, el, x, y, s) {
+    const w = 200 * s, pad = 12 * s, rowH = 28 * s;
+    const rows = [...el.querySelectorAll('.result-row')].map(row => ({
+        label: row.querySelector('.result-label')?.textContent.trim() ?? '',
+        value: row.querySelector('.result-value')?.textContent.replace(/\s+/g, ' ').trim() ?? '',
+        notes: [...row.children]
+            .filter(c => !c.matches('.result-label, .result-value') && c.textContent.trim())
+            .map(c => ({ text: c.textContent.trim(), color: getComputedStyle(c).color })),
+    }));
+    const noteH = 12 * s;
+    const h = pad * 2 + 18 * s + rows.reduce((sum, r) => sum + rowH + r.notes.length * noteH, 0);
+    roundedBox(ctx, x, y, w, h, 12 * s, 'rgba(255, 255, 255, 0.85)');
+
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#64748b';
+    ctx.font = `600 ${10 * s}px ${FONT}`;
+    ctx.fillText(el.querySelector('.legend-title')?.textContent.toUpperCase() ?? '', x + pad, y + pad + 6 * s);
+
+    let cy = y + pad + 18 * s;
+    for (const row of rows) {
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#64748b';
+        ctx.font = `${12 * s}px ${FONT}`;
+        ctx.fillText(row.label, x + pad, cy + rowH / 2);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#3b82f6';
+        ctx.font = `700 ${row.value.length > 10 ? 11 * s : 16 * s}px ${FONT}`;
+        ctx.fillText(row.value, x + w - pad, cy + rowH / 2);
+        cy += rowH;
+        for (const note of row.notes) {
+            ctx.textAlign = 'left';
+            ctx.fillStyle = note.color;
+            ctx.font = `${10 * s}px ${FONT}`;
+            ctx.fillText(note.text, x + pad, cy + noteH / 2);
+            cy += noteH;
+        }
+    }
+}
+
+/** Colour legend anchored at its bottom-right corner; returns its left edge. */
+function drawLegend(ctx, el, right, bottom, s) {
+    const pad = 12 * s, barW = 18 * s, barH = 100 * s;
+    const labels = [...el.querySelectorAll('.legend-labels span')].map(sp => sp.textContent);
+    const title = el.querySelector('.legend-title')?.textContent.toUpperCase() ?? '';
+
+    ctx.font = `500 ${10 * s}px ${FONT}`;
+    const labelW = Math.max(...labels.map(t => ctx.measureText(t).width), 0);
+    ctx.font = `600 ${10 * s}px ${FONT}`;
+    const w = Math.max(pad * 2 + barW + 6 * s + labelW, pad * 2 + ctx.measureText(title).width);
+    const h = pad * 2 + 16 * s + barH;
+    const x = right - w, y = bottom - h;
+    roundedBox(ctx, x, y, w, h, 10 * s, 'rgba(255, 255, 255, 0.85)');
+
+    ctx.fillStyle = '#64748b';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(title, x + pad, y + pad + 5 * s);
+
+    const by = y + pad + 16 * s;
+    const grad = ctx.createLinearGradient(0, by, 0, by + barH);
+    LEGEND_GRADIENT.forEach((c, i) => grad.addColorStop(i / (LEGEND_GRADIENT.length - 1), c));
+    ctx.beginPath();
+    ctx.roundRect(x + pad, by, barW, barH, 4 * s);
+    ctx.fillStyle = grad;
+    ctx.fill();
+
+    ctx.font = `500 ${10 * s}px ${FONT}`;
+    ctx.fillStyle = '#64748b';
+    labels.forEach((t, i) => {
+        const ly = by + (labels.length > 1 ? i / (labels.length - 1) : 0) * barH;
+        ctx.textBaseline = i === 0 ? 'top' : i === labels.length - 1 ? 'bottom' : 'middle';
+        ctx.fillText(t, x + pad + barW + 6 * s, ly);
+    });
+    return x;
+}
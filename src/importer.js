@@ -0,0 +1,159 @@
+import { parseCSV } from './csv.js';
+import { clockStringToAngle } from './ssw.js';
+import { RAD2DEG } from './constants.js';
+import { spinEfficiencyToGyro } from './batch.js';
+
+/**
+ * Import pitch-level exports from Statcast (Baseball Savant), Trackman and Rapsodo.
+ *
+ * Every source is mapped onto the control panel conventions:
+ *   spinDirection  spin direction slider value (deg). The slider's clock is the
+ *                  movement direction seen from behind the pitcher (12:00 = pure
+ *                  backspin), like Statcast/Trackman spin axis and Rapsodo clock.
+ *                  UIControls.spinDirection adds the +180° itself.
+ *   gyroAngle      deg, from spin efficiency via acos (positive sign); undefined
+ *                  when the export has no efficiency / active spin column
+ *   spinRate       rpm,  velocity  mph
+ *   observed       { ivb, hb } in inches, HB positive toward the pitcher's right
+ *                  (same frame as the flight model), or null
+ */
+
+const SOURCES = {
+    statcast: ['release_spin_rate', 'spin_axis', 'release_speed', 'pfx_x'],
+    trackman: ['RelSpeed', 'SpinRate', 'SpinAxis', 'InducedVertBreak', 'TaggedPitchType'],
+    rapsodo: ['Total Spin', 'True Spin (release)', 'Spin Efficiency (release)', 'Spin Direction'],
+};
+
+function num(val) {
+    if (val === undefined || val === null || val === '') return undefined;
+    const n = typeof val === 'number' ? val : parseFloat(String(val).replace('%', ''));
+    return Number.isFinite(n) ? n : undefined;
+}
+
+/** Statcast / Trackman spin axis (deg, 180 = backspin) → spin direction slider value. */
+export function spinAxisToSlider(axisDeg) {
+    return ((360 - axisDeg) % 360 + 360) % 360;
+}
+
+/** Clock tilt "h:mm" → spin direction slider value. */
+function clockToSlider(str) {
+    const rad = clockStringToAngle(str);
+    return isNaN(rad) ? undefined : Math.round(rad * RAD2DEG * 10) / 10;
+}
+
+/**
+ * Spin efficiency column of each source. Rapsodo always writes percent; Statcast
+ * active_spin is a fraction in some exports and a percentage in others, so for
+ * sources without a fixed `scale` the unit is decided per column (efficiencyScale).
+ */
+const EFFICIENCY = {
+    statcast: { columns: ['active_spin', 'active_spin_formatted'] },
+    trackman: { columns: ['SpinEfficiency'] },
+    rapsodo: { columns: ['Spin Efficiency (release)', 'Spin Efficiency'], scale: 1 },
+};
+
+/** 100 when a column holds fractions (no % signs, every value within ±1), else 1 (percent). */
+function efficiencyScale(rows, column) {
+    const cells = rows.map(r => r[column]).filter(v => v !== undefined && v !== null && v !== '');
+    if (cells.some(v => String(v).includes('%'))) return 1;
+    const values = cells.map(num).filter(v => v !== undefined);
+    return values.length > 0 && values.every(v => Math.abs(v) <= 1) ? 100 : 1;
+}
+
+/**
+ * Spin efficiency → gyro (deg) for every row of a source's export.
+ * @returns {(row:object) => number|undefined}
+ */
+function efficiencyReader(source, rows) {
+    const { columns, scale } = EFFICIENCY[source];
+    const column = columns.find(c => rows.some(r => r[c] !== undefined && r[c] !== ''));
+    if (!column) return () => undefined;
+    const toPercent = scale ?? efficiencyScale(rows, column);
+    return (row) => {
+        const eff = num(row[column]);
+        return eff === undefined ? undefined : spinEfficiencyToGyro(eff * toPercent);
+    };
+}
+
+export function detectSource(columns) {
+    let best = null, bestHits = 0;
+    for (const [source, keys] of Object.entries(SOURCES)) {
+        const hits = keys.filter(k => columns.includes(k)).length;
+        if (hits > bestHits) { best = source; bestHits = hits; }
+    }
+    return best;
+}
+
+const MAPPERS = {
+    statcast(row, i, gyro) {
+        const pfxX = num(row.pfx_x), pfxZ = num(row.pfx_z);
+        return {
+            name: [row.pitch_name || row.pitch_type, row.game_date].filter(Boolean).join(' ') || `#${i + 1}`,
+            spinDirection: num(row.spin_axis) !== undefined ? spinAxisToSlider(num(row.spin_axis)) : undefined,
+            gyroAngle: gyro(row),
+            spinRate: num(row.release_spin_rate),
+            velocity: num(row.release_speed),
+            // pfx_x is from the catcher's perspective → negate for pitcher's right
+            observed: pfxX !== undefined && pfxZ !== undefined ? { ivb: pfxZ * 12, hb: -pfxX * 12 } : null,
+        };
+    },
+    trackman(row, i, gyro) {
+        const axis = num(row.SpinAxis);
+        const ivb = num(row.InducedVertBreak), hb = num(row.HorzBreak);
+        return {
+            name: [row.TaggedPitchType || row.AutoPitchType, row.PitchNo && `#${row.PitchNo}`].filter(Boolean).join(' ') || `#${i + 1}`,
+            spinDirection: axis !== undefined ? spinAxisToSlider(axis) : row.Tilt ? clockToSlider(row.Tilt) : undefined,
+            gyroAngle: gyro(row),
+            spinRate: num(row.SpinRate),
+            velocity: num(row.RelSpeed),
+            // HorzBreak is positive toward the pitcher's right (third-base side), like hb: kept as is
+            observed: ivb !== undefined && hb !== undefined ? { ivb, hb } : null,
+        };
+    },
+    rapsodo(row, i, gyro) {
+        const ivb = num(row['VB (spin)'] ?? row['Vertical Break']);
+        const hb = num(row['HB (spin)'] ?? row['Horizontal Break']);
+        return {
+            name: [row['Pitch Type'], row['No'] && `#${row['No']}`].filter(Boolean).join(' ') || `#${i + 1}`,
+            spinDirection: row['Spin Direction'] ? clockToSlider(row['Spin Direction']) : undefined,
+            gyroAngle: gyro(row),
+            spinRate: num(row['Total Spin'] ?? row['Spin Rate']),
+            velocity: num(row['Velocity'] ?? row['Speed']),
+            observed: ivb !== undefined && hb !== undefined ? { ivb, hb } : null,
+        };
+    },
+};
+
+/** Drop preamble lines (Rapsodo exports start with player info) before the header row. */
+function stripPreamble(text) {
+    const allKeys = Object.values(SOURCES).flat();
+    const lines = text.split(/\r?\n/);
+    const start = lines.findIndex(line => allKeys.some(k => line.includes(k)));
+    return start > 0 ? lines.slice(start).join('\n') : text;
+}
+
+/**
+ * Parse an export file's text.
+ * @param {string} text
+ * @param {string} fileName - used to tell JSON from CSV
+ * @returns {{source:string, pitches:object[]}}
+ */
+export function importPitches(text, fileName = '') {
+    let rows;
+    if (fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        rows = Array.isArray(data) ? data : data.pitches || data.data || [];
+    } else {
+        rows = parseCSV(stripPreamble(text));
+    }
+    if (rows.length === 0) throw new Error('No rows found');
+
+    const source = detectSource(Object.keys(rows[0]));
+    if (!source) throw new Error('Unrecognized export format');
+
+    const gyro = efficiencyReader(source, rows);
+    const pitches = rows
+        .map((row, i) => ({ ...MAPPERS[source](row, i, gyro), source }))
+        .filter(p => p.spinDirection !== undefined || p.spinRate !== undefined);
+    return { source, pitches };
+}
@@ -1,14 +1,42 @@
 import './style.css';
 import * as THREE from 'three';
 import { createScene, setPitcherView, setCatcherView } from './scene.js';
-import { createBaseball, updateSpinAxis, updateBallOrientation } from './baseball.js';
-import { angleToClockString } from './ssw.js';
+import { createBaseball, setSeamGeometry, updateSpinAxis, updateBallOrientation } from './baseball.js';
+import { DEFAULT_SEAM_MODEL, getSeamModel, customSeamModel, registerSeamModel } from './seammodels.js';
+import { angleToClockString, sswPlaneZ } from './ssw.js';
+import { SWEEP_PARAMS, sweepValueFromParams } from './sweep.js';
+import { t } from './i18n.js';
 import SSWWorker from './worker.js?worker';
 import { Dashboard } from './dashboard.js';
 import { UIControls } from './ui.js';
 import { AnimationController } from './animation.js';
+import { Arcball } from './arcball.js';
 import { SSWCharts } from './charts.js';
-import { R, DEG2RAD } from './constants.js';
+import { AtlasHeatmap } from './atlas.js';
+import { simulatePitch, spinAxisDeviation, TrajectoryPath } from './trajectory.js';
+import { MovementPlot, PITCH_COLORS } from './movement.js';
+import { encodeState, decodeState } from './permalink.js';
+import {
+    createSession, createScenario, activeScenario, cacheResults, serializeSession, parseSession,
+} from './session.js';
+import { downloadText, downloadBlob } from './download.js';
+import { CompareBall, compareResults } from './compare.js';
+import { DiffChart } from './diffchart.js';
+import { PhaseChart } from './phasechart.js';
+import { SeamColoring } from './seamcolor.js';
+import { rankSeamArcs, seamArcPoints } from './attribution.js';
+import { PerceivedBall, seamCoverage } from './perceived.js';
+import { FINGERS, GripMarkers, gripOrientation } from './grip.js';
+import { pitchToSSWParams, FORCE_CLOCK_MIN_EFFECT } from './batch.js';
+import { renderThumbnail } from './thumbnail.js';
+import {
+    IMAGE_SIZES, createExportRenderer, renderOffscreen, projectToImage, composeImage,
+} from './imageexport.js';
+import { FRAME_SIZES, frameAngles, renderFrames, packageFrames } from './frames.js';
+import {
+    resultToJSON, resultHistogramsToCSV, resultSummaryToCSV, curveToJSON, curveToCSV,
+} from './dataexport.js';
+import { R, DEG2RAD, SEAM_POINTS } from './constants.js';
 
 // ── Scene ────────────────────────────────────────────
 const canvas = document.getElementById('three-canvas');
@@ -19,18 +47,176 @@ const {
 } = createScene(canvas);
 
 // ── Baseball ─────────────────────────────────────────
-const { spinAxisGroup, ballOrientationGroup, seamPointsRaw } = createBaseball();
+let seamModel = getSeamModel(DEFAULT_SEAM_MODEL); // ball in use (seammodels.js), set by applySeamModel
+let seamModelVersion = 0; // bumped on every model change, so cached curves are recomputed
+const { spinAxisGroup, ballOrientationGroup, ballMesh, seamMesh } = createBaseball(seamModel);
 scene.add(spinAxisGroup);
+const seamColoring = new SeamColoring(seamMesh, seamModel.points);
+
+// ── Batter-perceived appearance ─────────────────────
+const perceived = new PerceivedBall(spinAxisGroup);
+let perceivedOrient = ''; // orientation the coverage was computed for
+
+/** Swap the spinning ball for its time-averaged appearance, or back. */
+function setBatterView(on) {
+    perceived.setVisible(on);
+    ballOrientationGroup.visible = !on;
+    updatePerceived();
+}
+
+function updatePerceived() {
+    if (!perceived.visible) return;
+    const key = `${ui.orientX},${ui.orientY},${ui.orientZ}`;
+    if (key === perceivedOrient) return;
+    perceivedOrient = key;
+    perceived.update(seamCoverage(seamModel.points, ui.orientX, ui.orientY, ui.orientZ, seamModel.seamRadius));
+}
+
+// ── Seam model ──────────────────────────────────────
+/** Switch to the ball selected in the panel: seam mesh (A and B), colouring, batter's view, arsenal. */
+function applySeamModel() {
+    seamModel = ui.seamModel === 'custom' ? customSeamModel(ui.seamCustom) : getSeamModel(ui.seamModel);
+    seamModelVersion++;
+    setSeamGeometry(seamMesh, seamModel);
+    setSeamGeometry(compareBall.seamMesh, seamModel);
+    seamColoring.setSeam(seamModel.points);
+    perceivedOrient = '';
+    updatePerceived();
+    updateSeamModelInfo();
+    if (compareState) requestCompare();
+    refreshArsenal();
+}
+
+function updateSeamModelInfo() {
+    const mm = (ballRadii) => (ballRadii * seamModel.radius * 1000).toFixed(1);
+    const info = `${t('ballDiameter')} ${mm(2)} mm · ${t('seamWidth')} ${mm(seamModel.seamRadius * 2)} mm · ` +
+        `${t('seamHeight')} ${mm(seamModel.seamHeight)} mm`;
+    ui.setSeamModelInfo(seamModel.id === 'measured' ? `${info} · ${t('measuredSeamNotInLink')}` : info);
+}
+
+// Measured seam files are fitted in their own worker (seamimport.js takes a
+// noticeable time on dense scans); created on the first import
+let seamFitWorker = null;
+let seamFitJobId = 0;
+let measuredSeam = null; // { name, points, seamRadius, seamHeight, radius, mass }, kept for session files
+const MEASURED_SIZES = ['seamRadius', 'seamHeight', 'radius', 'mass'];
+
+function requestSeamFit({ name, text }) {
+    if (!seamFitWorker) {
+        seamFitWorker = new SSWWorker();
+        seamFitWorker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.mode !== 'seamFit' || msg.jobId !== seamFitJobId) return;
+            if (msg.error) ui.setSeamImportStatus(`${t('importFailed')}: ${msg.error}`);
+            else importMeasuredSeam(msg.name, msg.fit);
+        };
+    }
+    seamFitJobId++;
+    seamFitWorker.postMessage({ mode: 'seamFit', jobId: seamFitJobId, text, fileName: name });
+}
+
+/**
+ * Register an imported seam (seamimport.js fit) as the 'measured' model and switch to it.
+ * Seam and ball sizes come from the ball in use, so a scan of a softball is best
+ * imported with the softball selected.
+ */
+function importMeasuredSeam(name, fit) {
+    const { seamRadius, seamHeight, radius, mass } = seamModel;
+    useMeasuredSeam({ name, points: fit.points, seamRadius, seamHeight, radius, mass });
+    const mm = (ballRadii) => (ballRadii * radius * 1000).toFixed(2);
+    ui.setSeamImportStatus(`${name}: ${fit.count} ${t('seamPointsRead')} · ${t('seamFitError')} ` +
+        `RMS ${mm(fit.rmsError)} mm, max ${mm(fit.maxError)} mm · ${t('sphereFitError')} ${mm(fit.sphereError)} mm`);
+}
+
+/** Register a measured seam (imported, or from a session file) and switch to it. */
+function useMeasuredSeam(seam) {
+    measuredSeam = seam;
+    const points = seam.points instanceof Float32Array ? seam.points : Float32Array.from(seam.points);
+    registerSeamModel('measured', { ...seam, points: () => points });
+    ui.selectMeasuredSeam(seam.name); // change event → applySeamModel
+}
+
+/** The measured seam for a session file, or undefined when another ball is in use. */
+function measuredSeamState() {
+    if (ui.seamModel !== 'measured' || !measuredSeam) return undefined;
+    return { ...measuredSeam, points: Array.from(measuredSeam.points, v => Math.round(v * 1e5) / 1e5) };
+}
+
+// ── Grip markers ────────────────────────────────────
+const gripMarkers = new GripMarkers(ballOrientationGroup);
+const raycaster = new THREE.Raycaster();
+let gripPointer = null; // pointerdown position while a finger is being placed
+
+/** Drop the selected finger where a click hits the ball (main view only). */
+function placeFinger(clientX, clientY) {
+    const finger = ui.gripFinger;
+    const { left, top, width, height } = mainViewport;
+    if (!finger || perceived.visible) return;
+    const ndc = new THREE.Vector2((clientX - left) / width * 2 - 1, -(clientY - top) / height * 2 + 1);
+    if (Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) return;
+    raycaster.setFromCamera(ndc, camera);
+    const [hit] = raycaster.intersectObjects([ballMesh, seamMesh], false);
+    if (!hit) return;
+    gripMarkers.set(finger, ballOrientationGroup.worldToLocal(hit.point.clone()));
+    ui.setGripStatus(`${gripMarkers.count} ${t('gripPlaced')}`);
+}
+
+canvas.addEventListener('pointerdown', (e) => {
+    gripPointer = e.button === 0 && !e.altKey && ui.gripFinger ? { x: e.clientX, y: e.clientY } : null;
+});
+canvas.addEventListener('pointerup', (e) => {
+    // A click, not an orbit drag
+    if (gripPointer && Math.hypot(e.clientX - gripPointer.x, e.clientY - gripPointer.y) < 5) {
+        placeFinger(e.clientX, e.clientY);
+    }
+    gripPointer = null;
+});
+
+/**
+ * Orient the ball so the grip releases along `releaseAngle`. The grip fixes the
+ * ball's world orientation at release, so the spin is reset to angle 0 and the
+ * spin axis frame is divided out to get the orientation sliders' rotation.
+ */
+function applyGrip(releaseAngle) {
+    const fingers = Object.fromEntries(FINGERS.map(f => [f, gripMarkers.get(f)]));
+    const world = gripOrientation(fingers, releaseAngle);
+    if (!world) {
+        ui.setGripStatus(t('gripNeedFingers'));
+        return false;
+    }
+    anim.animationAngle = 0;
+    anim.onUpdate(0);
+    ui.setOrientationQuat(spinAxisGroup.quaternion.clone().invert().multiply(world));
+    ui.setGripStatus(t('gripApplied'));
+    return true;
+}
 
 // ── Dashboard ────────────────────────────────────────
 const dashboard = new Dashboard(scene);
 
+// ── Flight path ──────────────────────────────────────
+const trajectory = new TrajectoryPath(scene);
+let lastSSWResult = null; // latest single result, feeds the flight model
+let importedPitch = null; // selected imported pitch (observed movement, if any)
+
 // ── SSW Charts ───────────────────────────────────────
 // We need to mount charts to DOM. Let's create a container in index.html later.
 // Converting existing chart div or creating one? User said "Information area".
 // I'll assume we can pass a container ID.
 const charts = new SSWCharts('ssw-charts-container');
 
+// ── Rotation phase chart ────────────────────────────
+const phaseChart = new PhaseChart('ssw-charts-container');
+
+// ── Movement plot ───────────────────────────────────
+const movementPlot = new MovementPlot('ssw-charts-container');
+
+// ── Orientation Atlas ───────────────────────────────
+const atlas = new AtlasHeatmap('ssw-charts-container', (xParam, x, yParam, y) => {
+    ui.setParam(xParam, x);
+    ui.setParam(yParam, y);
+});
+
 // ── SSW Worker & State ──────────────────────────────
 const sswWorker = new SSWWorker();
 let isComputing = false;
@@ -47,31 +233,10 @@ sswWorker.onmessage = (e) => {
 
     if (result.mode === 'curve') {
         // Curve data received
-        charts.updateData(result.data);
-        // Also update the red line position for current state
-        charts.updateCursor(ui.gyroAngle / DEG2RAD);
+        onCurve(result);
     } else {
         // Single result received (normal update)
-
-        // Update Dashboard & UI
-        const mode = ui.displayMode === 'slice' ? 'slice' : 'combined';
-        dashboard.update(
-            mode,
-            result.histograms, result.combined,
-            result.contribHistograms, result.combinedContrib,
-            result.numSlices, result.zPlanes,
-            result.asymmetryIndex, result.arrowAngle, result.arrowWidth,
-            result.maxContribution,
-            ui.visibleSeam, ui.visibleContrib // Pass visibility flags
-        );
-        ui.setAsymmetry(result.asymmetryIndex);
-        ui.setSSWEffectIndex(result.sswEffectIndex);
-        ui.setClockDirection(result.sswEffectIndex > 0.005 ? angleToClockString(result.arrowAngle) : '—');
-        updateContribLegend(result.maxContribution);
-        updateSSWLabels(result.effectSumA, result.effectSumB, result.sswEffectIndex, result.arrowAngle);
-
-        // Update Chart Cursor
-        charts.updateCursor(ui.gyroAngle / DEG2RAD);
+        showResult(result);
 
         // If there's a pending request, process it now (prioritize single requests?)
         // If we have a pending curve request, we might want to send it?
@@ -85,6 +250,34 @@ sswWorker.onmessage = (e) => {
     }
 };
 
+/** Update Dashboard & UI from a single result (fresh from the worker or cached in a session). */
+function showResult(result) {
+    const mode = ui.displayMode === 'slice' ? 'slice' : 'combined';
+    dashboard.update(
+        mode,
+        result.histograms, result.combined,
+        result.contribHistograms, result.combinedContrib,
+        result.numSlices, result.zPlanes,
+        result.asymmetryIndex, result.arrowAngle, result.arrowWidth,
+        result.maxContribution,
+        ui.visibleSeam, ui.visibleContrib // Pass visibility flags
+    );
+    ui.setAsymmetry(result.asymmetryIndex);
+    ui.setSSWEffectIndex(result.sswEffectIndex);
+    ui.setClockDirection(result.sswEffectIndex > 0.005 ? angleToClockString(result.arrowAngle) : '—');
+    updateContribLegend(result.maxContribution);
+    updateSSWLabels(result.effectSumA, result.effectSumB, result.sswEffectIndex, result.arrowAngle);
+    phaseChart.update(result.phase || null);
+    seamColoring.setAttribution(result.attribution || null);
+    ui.setSeamArcs(result.attribution ? rankSeamArcs(result.attribution) : []);
+    lastSSWResult = result;
+    updateTrajectory();
+    showCompareResult();
+
+    // Update Chart Cursor
+    updateChartCursor();
+}
+
 let lastCurveParams = null; // Track params to avoid redundant curve calcs
 
 function requestSSW(data) {
@@ -103,8 +296,7 @@ function requestSSW(data) {
 const curveWorker = new SSWWorker();
 curveWorker.onmessage = (e) => {
     if (e.data.mode === 'curve') {
-        charts.updateData(e.data.data);
-        charts.updateCursor(ui.gyroAngle / DEG2RAD);
+        onCurve(e.data);
     } else if (e.data.type === 'ready') {
         // Run initial curve calculation when worker is ready
         updateCurve = true; // force update
@@ -115,7 +307,334 @@ curveWorker.onmessage = (e) => {
 function requestCurve(data) {
     // Just post message, no lock needed if we don't care about order or just want latest.
     // Throttling might be good.
-    curveWorker.postMessage({ ...data, mode: 'curve' });
+    curveWorker.postMessage({ ...data, mode: 'curve', sweep: ui.sweep });
+}
+
+let curveSweep = null; // normalized sweep of the data currently in the charts
+let lastCurveResult = null; // { sweep, data } currently in the charts
+
+function onCurve({ sweep, data }) {
+    lastCurveResult = { sweep, data };
+    curveSweep = sweep;
+    labelChartAxis();
+    charts.updateData(data);
+    updateChartCursor();
+}
+
+function labelChartAxis() {
+    if (!curveSweep) return;
+    charts.setAxis(curveSweep.min, curveSweep.max, t(SWEEP_PARAMS[curveSweep.param].i18n));
+}
+
+/** Move the chart cursor to the current value of the swept parameter. */
+function updateChartCursor() {
+    const param = curveSweep ? curveSweep.param : 'gyroAngle';
+    charts.updateCursor(sweepValueFromParams(collectParams(), param));
+}
+
+// Third worker for the inverse-design search (takes seconds, must not block curves)
+const optimizerWorker = new SSWWorker();
+optimizerWorker.onmessage = (e) => {
+    if (e.data.mode !== 'optimize') return;
+    if (e.data.done) {
+        ui.setOptimizerProgress(null);
+        ui.setOptimizerResults(e.data.candidates);
+    } else {
+        ui.setOptimizerProgress(e.data.progress);
+    }
+};
+
+function requestOptimize(options) {
+    ui.setOptimizerProgress(0);
+    optimizerWorker.postMessage({ ...collectParams(), mode: 'optimize', options });
+}
+
+// Fourth worker for the atlas grid (fills in row by row)
+const atlasWorker = new SSWWorker();
+let atlasJobId = 0;
+atlasWorker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.mode !== 'atlas' || msg.jobId !== atlasJobId) return;
+    if (msg.row === undefined) {
+        atlas.setGrid(msg.xSweep, msg.ySweep, msg.xs, msg.ys,
+            t(SWEEP_PARAMS[msg.xSweep.param].i18n), t(SWEEP_PARAMS[msg.ySweep.param].i18n));
+        updateAtlasCursor();
+    } else {
+        atlas.setRow(msg.row, msg.values, msg.arrows);
+    }
+};
+
+function requestAtlas({ xSweep, ySweep }) {
+    atlasJobId++;
+    atlasWorker.postMessage({ ...collectParams(), mode: 'atlas', jobId: atlasJobId, xSweep, ySweep });
+}
+
+function updateAtlasCursor() {
+    if (!atlas.xSweep) return;
+    const params = collectParams();
+    atlas.updateCursor(sweepValueFromParams(params, atlas.xSweep.param), sweepValueFromParams(params, atlas.ySweep.param));
+}
+
+// ── A/B comparison ──────────────────────────────────
+// B is a pinned copy of the controls; "swap" loads it into the sliders for editing.
+const compareBall = new CompareBall(scene);
+const diffChart = new DiffChart('ssw-charts-container');
+const compareWorker = new SSWWorker();
+let compareState = null;  // B's slider values (UIControls.getState().params)
+let compareResult = null; // latest single result for B
+
+compareWorker.onmessage = (e) => {
+    if (e.data.type === 'ready') return;
+    compareResult = e.data;
+    showCompareResult();
+};
+
+function requestCompare() {
+    const params = {
+        seamPoints: seamModel.points, seamRadius: seamModel.seamRadius, ...pitchToSSWParams(compareState),
+    };
+    compareBall.setParams(params);
+    compareBall.spin(anim.animationAngle);
+    compareWorker.postMessage(params);
+}
+
+function pinCompare() {
+    compareState = ui.getState().params;
+    requestCompare();
+}
+
+function swapCompare() {
+    if (!compareState) return;
+    const current = ui.getState().params;
+    ui.setParams(compareState);
+    compareState = current;
+    requestCompare();
+}
+
+function setCompareMode(mode) {
+    if (mode !== 'off' && !compareState) pinCompare();
+    compareBall.setMode(mode);
+    diffChart.setVisible(mode !== 'off');
+}
+
+function showCompareResult() {
+    if (!compareResult) return;
+    const mode = ui.displayMode === 'slice' ? 'slice' : 'combined';
+    compareBall.showResult(compareResult, mode, ui.visibleSeam, ui.visibleContrib);
+    diffChart.update(lastSSWResult ? compareResults(lastSSWResult, compareResult) : null);
+}
+
+// ── Pitch arsenal ───────────────────────────────────
+// Named pitches (slider-unit params), scored together in their own worker
+const arsenalWorker = new SSWWorker();
+let arsenal = [];              // [{ id, name, params }]
+const arsenalResults = new Map(); // id → { sswEffectIndex, forceClock, spinBased, sswAdjusted }
+const arsenalThumbs = new Map();  // id → top-view data URL
+let activePitchId = null;
+let arsenalJobId = 0;
+const THUMB_SIZE = 72;
+
+arsenalWorker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.mode !== 'arsenal' || msg.jobId !== arsenalJobId) return;
+    msg.results.forEach((res, i) => {
+        const pitch = arsenal[i];
+        const p = pitchToSSWParams(pitch.params);
+        const sim = simulatePitch({
+            velocityMph: pitch.params.velocity, spinRate: pitch.params.spinRate,
+            spinDirection: p.spinDirection, gyroAngle: p.gyroAngle,
+            sswEffectIndex: res.sswEffectIndex, arrowAngle: res.arrowAngle,
+            ball: seamModel,
+        });
+        arsenalResults.set(pitch.id, {
+            sswEffectIndex: res.sswEffectIndex,
+            forceClock: res.sswEffectIndex > FORCE_CLOCK_MIN_EFFECT ? angleToClockString(res.arrowAngle) : '—',
+            spinBased: sim.spinBased,
+            sswAdjusted: sim.sswAdjusted,
+        });
+    });
+    renderArsenal();
+    updateTrajectory();
+};
+
+const arsenalColor = (i) => PITCH_COLORS[i % PITCH_COLORS.length];
+
+function renderArsenal() {
+    ui.setArsenal(arsenal.map((pitch, i) => {
+        const r = arsenalResults.get(pitch.id);
+        return {
+            id: pitch.id, name: pitch.name, color: arsenalColor(i),
+            thumbnail: arsenalThumbs.get(pitch.id) || null,
+            result: r ? { sswEffectIndex: r.sswEffectIndex, forceClock: r.forceClock, ivb: r.sswAdjusted.ivb, hb: r.sswAdjusted.hb } : null,
+        };
+    }), activePitchId);
+}
+
+/** Top-camera snapshot of the ball in a pitch's orientation (animation angle 0). */
+function makeArsenalThumbnail(pitch) {
+    const p = pitchToSSWParams(pitch.params);
+    updateSpinAxis(spinAxisGroup, p.spinDirection, p.gyroAngle);
+    updateBallOrientation(ballOrientationGroup, p.orientX, p.orientY, p.orientZ, 0);
+    const hidden = [dashboard.group, trajectory.group, compareBall.spinAxisGroup, compareBall.dashboard.group];
+    const wasVisible = hidden.map(o => o.visible);
+    hidden.forEach(o => { o.visible = false; });
+    // Thumbnails always show the seam itself
+    const batterView = perceived.visible;
+    perceived.setVisible(false);
+    ballOrientationGroup.visible = true;
+
+    arsenalThumbs.set(pitch.id, renderThumbnail(renderer, scene, topCamera, THUMB_SIZE));
+
+    hidden.forEach((o, i) => { o.visible = wasVisible[i]; });
+    perceived.setVisible(batterView);
+    ballOrientationGroup.visible = !batterView;
+    applyControls();
+}
+
+function refreshArsenal() {
+    arsenalJobId++;
+    if (arsenal.length > 0) {
+        arsenalWorker.postMessage({
+            mode: 'arsenal', jobId: arsenalJobId, seamPoints: seamModel.points, seamRadius: seamModel.seamRadius,
+            pitches: arsenal.map(p => p.params),
+        });
+    }
+    renderArsenal();
+    updateTrajectory();
+}
+
+function handleArsenal(key, value) {
+    if (key === 'arsenalAdd') {
+        const pitch = {
+            id: `p${Date.now().toString(36)}${arsenal.length}`,
+            name: value || `${t('pitchName')} ${arsenal.length + 1}`,
+            params: ui.getState().params,
+        };
+        arsenal.push(pitch);
+        activePitchId = pitch.id;
+        makeArsenalThumbnail(pitch);
+    } else if (key === 'arsenalUpdate') {
+        const pitch = arsenal.find(p => p.id === activePitchId);
+        if (!pitch) return;
+        pitch.params = ui.getState().params;
+        makeArsenalThumbnail(pitch);
+    } else if (key === 'arsenalDelete') {
+        arsenal = arsenal.filter(p => p.id !== value);
+        arsenalResults.delete(value);
+        arsenalThumbs.delete(value);
+        if (activePitchId === value) activePitchId = null;
+    } else if (key === 'arsenalSelect') {
+        const pitch = arsenal.find(p => p.id === value);
+        if (!pitch) return;
+        activePitchId = pitch.id;
+        ui.setParams(pitch.params);
+        renderArsenal();
+        return; // params unchanged, no rescoring needed
+    }
+    refreshArsenal();
+}
+
+/** Replace the arsenal (e.g. from a session file) and rebuild thumbnails. */
+function loadArsenal(pitches) {
+    arsenal = pitches;
+    activePitchId = null;
+    arsenalResults.clear();
+    arsenalThumbs.clear();
+    arsenal.forEach(makeArsenalThumbnail);
+    refreshArsenal();
+}
+
+const ARSENAL_KEYS = ['arsenalAdd', 'arsenalUpdate', 'arsenalDelete', 'arsenalSelect'];
+
+// ── Data export ─────────────────────────────────────
+function exportData(kind) {
+    const params = ui.getState().params;
+    if (kind === 'resultJSON' && lastSSWResult) {
+        downloadText(resultToJSON(lastSSWResult, params), 'ssw-result.json', 'application/json');
+    } else if (kind === 'resultCSV' && lastSSWResult) {
+        downloadText(resultHistogramsToCSV(lastSSWResult), 'ssw-result-histograms.csv', 'text/csv');
+        downloadText(resultSummaryToCSV(lastSSWResult, params), 'ssw-result-summary.csv', 'text/csv');
+    } else if (kind === 'curveJSON' && lastCurveResult) {
+        downloadText(curveToJSON(lastCurveResult, params), `ssw-curve-${lastCurveResult.sweep.param}.json`, 'application/json');
+    } else if (kind === 'curveCSV' && lastCurveResult) {
+        downloadText(curveToCSV(lastCurveResult), `ssw-curve-${lastCurveResult.sweep.param}.csv`, 'text/csv');
+    }
+}
+
+// ── Image export ────────────────────────────────────
+const TOP_INSET = 0.3; // top view inset size, fraction of the image height
+
+function exportImage({ size, transparent, topView, overlays }) {
+    const [w, h] = IMAGE_SIZES[size] || IMAGE_SIZES['4k'];
+    // Side-by-side B has no place in a single-camera image; overlay B is kept
+    compareBall.setVisible(compareBall.mode === 'overlay');
+    const main = renderOffscreen(renderer, scene, camera, w, h, { transparent });
+    const topPx = Math.round(h * TOP_INSET);
+    const top = topView ? renderOffscreen(renderer, scene, topCamera, topPx, topPx, { transparent }) : null;
+    compareBall.setVisible(compareBall.mode !== 'off');
+
+    let labels = [];
+    let legends = [];
+    let resultCard = null;
+    if (overlays) {
+        labels = [[labelA, posA], [labelB, posB], [labelTop, posTop]]
+            .filter(([el]) => el.textContent && el.style.display !== 'none')
+            .map(([el, pos]) => ({ text: el.textContent, ...projectToImage(pos, camera, w, h) }))
+            .filter(l => l.x !== undefined);
+        legends = ['color-legend', 'contrib-legend']
+            .map(id => document.getElementById(id))
+            .filter(el => el && el.offsetParent !== null);
+        resultCard = document.getElementById('ssw-result-card');
+    }
+
+    const image = composeImage({ main, top, labels, legends, resultCard });
+    image.toBlob((blob) => {
+        // null when the browser can't encode the canvas (e.g. too large)
+        if (!blob) {
+            ui.setImageStatus(t('imageExportFailed'));
+            return;
+        }
+        ui.setImageStatus('');
+        downloadBlob(blob, `ssw-view-${size}.png`);
+    }, 'image/png');
+}
+
+// ── Frame-sequence export ───────────────────────────
+let exportingFrames = false;
+
+async function exportFrames({ size, format, count, fps, spinRate, transparent }) {
+    if (exportingFrames) return;
+    exportingFrames = true;
+    const [w, h] = FRAME_SIZES[size] || FRAME_SIZES['720p'];
+    const exporter = createExportRenderer(renderer, w, h);
+    anim.setPlaying(false);
+
+    const setAngle = (angle) => {
+        updateBallOrientation(ballOrientationGroup, ui.orientX, ui.orientY, ui.orientZ, angle);
+        compareBall.spin(angle);
+        updateSeamZones();
+    };
+    try {
+        const angles = frameAngles(count, fps, spinRate, anim.animationAngle);
+        const pngs = await renderFrames(angles, (angle) => {
+            setAngle(angle);
+            // The live render loop runs between frames and toggles B for the split view
+            compareBall.setVisible(compareBall.mode === 'overlay');
+            const frame = exporter.render(scene, camera, w, h, { transparent });
+            compareBall.setVisible(compareBall.mode !== 'off');
+            return frame;
+        }, (done, total) => ui.setFramesStatus(`${t('framesProgress')} ${done} / ${total}`));
+        const { blob, fileName } = packageFrames(pngs, format, fps);
+        downloadBlob(blob, fileName);
+        ui.setFramesStatus(`${t('framesDone')}: ${count} @ ${fps} fps`);
+    } catch (err) {
+        ui.setFramesStatus(err.message);
+    } finally {
+        exporter.dispose();
+        setAngle(anim.animationAngle);
+        anim.setPlaying(ui.isPlaying);
+        exportingFrames = false;
+    }
 }
 
 // ── SSW update flag ──────────────────────────────────
@@ -123,14 +642,143 @@ let needsMainUpdate = true;
 let updateSSW = true;
 let updateCurve = true;
 
+// ── Shareable URL state ──────────────────────────────
+let hashTimer = null;
+
+function scheduleHashUpdate() {
+    clearTimeout(hashTimer);
+    hashTimer = setTimeout(() => {
+        // replaceState: no history entry per slider move, and no hashchange event
+        history.replaceState(null, '', `#${encodeState(captureState())}`);
+    }, 300);
+}
+
+/** Controls + camera, as stored in the URL hash and in session scenarios (which also keep the grip). */
+function captureState() {
+    return {
+        ...ui.getState(),
+        camera: camera.position.toArray(),
+        grip: { markers: gripMarkers.toJSON(), release: ui.releaseClock },
+        measuredSeam: measuredSeamState(),
+    };
+}
+
+function applyState(state) {
+    // Before setState, so the measured ball is in the select when it is chosen
+    const seam = state.measuredSeam;
+    const valid = Array.isArray(seam?.points) && seam.points.length === SEAM_POINTS * 3 &&
+        seam.points.every(Number.isFinite) && MEASURED_SIZES.every(k => Number.isFinite(seam[k]));
+    if (valid) useMeasuredSeam({ ...seam, name: String(seam.name ?? '') });
+    ui.setState(state);
+    if (state.camera) {
+        camera.position.fromArray(state.camera);
+        controls.update();
+    }
+}
+
+function restoreURLState() {
+    applyState(decodeState(location.hash));
+}
+
+controls.addEventListener('end', scheduleHashUpdate);
+window.addEventListener('hashchange', restoreURLState);
+
+// ── Session (named scenarios) ────────────────────────
+let session = null;
+
+/** Write the live controls and latest results back into the active scenario. */
+function snapshotScenario() {
+    const scenario = activeScenario(session);
+    scenario.state = captureState();
+    scenario.results = cacheResults(lastSSWResult, lastCurveResult);
+}
+
+/** Restore a scenario; cached results are shown until the worker recomputes. */
+function loadScenario(scenario) {
+    session.activeScenario = scenario.id;
+    applyState(scenario.state);
+    // Grip markers belong to the scenario; the URL hash doesn't carry them
+    gripMarkers.load(scenario.state.grip?.markers);
+    if (scenario.state.grip?.release) ui.setReleaseClock(scenario.state.grip.release);
+    if (scenario.results?.single) showResult(scenario.results.single);
+    if (scenario.results?.curve) onCurve(scenario.results.curve);
+    ui.setScenarios(session.scenarios, scenario.id);
+}
+
+function handleSession(key, value) {
+    if (key === 'scenarioSwitch') {
+        snapshotScenario();
+        loadScenario(session.scenarios.find(s => s.id === value));
+    } else if (key === 'scenarioMeta') {
+        const scenario = activeScenario(session);
+        scenario.name = value.name || scenario.name;
+        scenario.notes = value.notes;
+        ui.setScenarios(session.scenarios, scenario.id);
+    } else if (key === 'scenarioAdd') {
+        snapshotScenario();
+        const scenario = createScenario(`${t('scenario')} ${session.scenarios.length + 1}`, captureState());
+        session.scenarios.push(scenario);
+        session.activeScenario = scenario.id;
+        ui.setScenarios(session.scenarios, scenario.id);
+    } else if (key === 'scenarioDelete') {
+        if (session.scenarios.length < 2) return;
+        session.scenarios = session.scenarios.filter(s => s.id !== session.activeScenario);
+        loadScenario(session.scenarios[0]);
+    } else if (key === 'sessionSave') {
+        snapshotScenario();
+        session.arsenal = arsenal;
+        downloadText(serializeSession(session), `${session.name || 'ssw-session'}.json`, 'application/json');
+    } else if (key === 'sessionOpen') {
+        try {
+            session = parseSession(value.text);
+            session.name = session.name || value.fileName.replace(/\.json$/i, '');
+            loadScenario(activeScenario(session));
+            loadArsenal(session.arsenal);
+            ui.setSessionStatus(`${t('sessionOpened')}: ${value.fileName}`);
+        } catch (err) {
+            ui.setSessionStatus(`${t('sessionFailed')}: ${err.message}`);
+        }
+    }
+}
+
+const SESSION_KEYS = ['scenarioSwitch', 'scenarioMeta', 'scenarioAdd', 'scenarioDelete', 'sessionSave', 'sessionOpen'];
+
 // ── UI ───────────────────────────────────────────────
 const ui = new UIControls(({ key, value, type }) => {
+    if (SESSION_KEYS.includes(key)) { handleSession(key, value); return; }
+    if (ARSENAL_KEYS.includes(key)) { handleArsenal(key, value); return; }
+    if (key === 'export') { exportData(value); return; }
+    if (key === 'exportImage') { exportImage(value); return; }
+    if (key === 'exportFrames') { exportFrames(value); return; }
+    scheduleHashUpdate();
     if (key === 'playPause') { anim.setPlaying(ui.isPlaying); return; }
     if (key === 'pitcherView') { setPitcherView(camera, controls); return; }
     if (key === 'catcherView') { setCatcherView(camera, controls); return; }
-    if (key === 'spinRate') return;
+    if (key === 'spinRate' || key === 'velocity') { updateTrajectory(); return; }
+    if (key === 'visibleTrajectory') { trajectory.setVisible(value); return; }
+    if (key === 'batterView') { setBatterView(value); return; }
+    if (key === 'seamColor') { seamColoring.setMode(value); updateSeamZones(); return; }
+    if (key === 'gripClear') { gripMarkers.clear(); ui.setGripStatus(''); return; }
+    if (key === 'gripApply' && !applyGrip(value)) return;
+    if (key === 'seamArc') { seamColoring.setHighlight(value === null ? null : seamArcPoints(value)); return; }
+    if (key === 'importedPitch') { importedPitch = value; updateTrajectory(); return; }
+    if (key === 'optimize') { requestOptimize(value); return; }
+    if (key === 'atlas') { requestAtlas(value); return; }
+    if (key === 'compareMode') { setCompareMode(value); return; }
+    if (key === 'comparePin') { pinCompare(); return; }
+    if (key === 'compareSwap') { swapCompare(); return; }
+    if (key === 'seamImport') { requestSeamFit(value); return; }
+    if (key === 'seamModel') applySeamModel();
+    if (key === 'lang') {
+        updateSeamModelInfo();
+        labelChartAxis();
+        if (atlas.xSweep) atlas.setLabels(t(SWEEP_PARAMS[atlas.xSweep.param].i18n), t(SWEEP_PARAMS[atlas.ySweep.param].i18n));
+        return;
+    }
+    if (key === 'sweep') { updateCurve = true; needsMainUpdate = true; return; }
     if (key === 'visibleSeam' || key === 'visibleContrib') {
         dashboard.setVisibility(ui.visibleSeam, ui.visibleContrib);
+        compareBall.dashboard.setVisibility(ui.visibleSeam, ui.visibleContrib);
         return;
     }
 
@@ -142,9 +790,17 @@ const ui = new UIControls(({ key, value, type }) => {
 });
 
 // ── Animation ────────────────────────────────────────
+let mainViewport = { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight }; // client px, set per frame
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+// Orientation lives in the ball's parent frame: spin axis group × spin about its local X
+const arcball = new Arcball(camera, () => mainViewport, () => spinAxisGroup.quaternion.clone()
+    .multiply(new THREE.Quaternion().setFromAxisAngle(X_AXIS, anim.animationAngle)));
+
 const anim = new AnimationController(canvas, ui, (angle) => {
     updateBallOrientation(ballOrientationGroup, ui.orientX, ui.orientY, ui.orientZ, angle);
-});
+    compareBall.spin(angle);
+    phaseChart.setAngle(angle);
+}, arcball);
 
 // ── Contribution legend elements ─────────────────────
 const contribMaxEl = document.getElementById('contrib-max');
@@ -187,6 +843,45 @@ function updateSSWLabels(valA, valB, valTotal, arrowAngle) {
     posB.set(rLabel * Math.cos(angB), rLabel * Math.sin(angB), 0);
 }
 
+function updateTrajectory() {
+    if (!lastSSWResult) return;
+    const flightParams = {
+        velocityMph: ui.velocity,
+        spinRate: ui.spinRate,
+        spinDirection: ui.spinDirection,
+        gyroAngle: ui.gyroAngle,
+        sswEffectIndex: lastSSWResult.sswEffectIndex,
+        arrowAngle: lastSSWResult.arrowAngle,
+        ball: seamModel,
+    };
+    const sim = simulatePitch(flightParams);
+    ui.setAxisDeviation(spinAxisDeviation(flightParams));
+    trajectory.update(sim);
+    ui.setFlight(sim.sswAdjusted);
+    const live = {
+        name: importedPitch ? importedPitch.name : '',
+        spinBased: sim.spinBased, sswAdjusted: sim.sswAdjusted,
+        observed: importedPitch ? importedPitch.observed : null,
+    };
+    movementPlot.update(arsenal.length ? arsenalMovement(live) : [live]);
+}
+
+/** Arsenal pitches for the movement plot; the selected one follows the live controls. */
+function arsenalMovement(live) {
+    const pitches = [];
+    arsenal.forEach((pitch, i) => {
+        const color = arsenalColor(i);
+        if (pitch.id === activePitchId) {
+            pitches.push({ ...live, name: pitch.name, color });
+            return;
+        }
+        const r = arsenalResults.get(pitch.id);
+        if (r) pitches.push({ name: pitch.name, color, spinBased: r.spinBased, sswAdjusted: r.sswAdjusted });
+    });
+    if (!activePitchId) pitches.push({ ...live, color: '#e2e8f0' });
+    return pitches;
+}
+
 function updateContribLegend(maxVal) {
     contribMaxEl.textContent = maxVal.toFixed(2);
     contrib75El.textContent = (maxVal * 0.75).toFixed(2);
@@ -198,6 +893,7 @@ function updateContribLegend(maxVal) {
 function applyControls() {
     updateSpinAxis(spinAxisGroup, ui.spinDirection, ui.gyroAngle);
     updateBallOrientation(ballOrientationGroup, ui.orientX, ui.orientY, ui.orientZ, anim.animationAngle);
+    compareBall.spin(anim.animationAngle);
 
     // Update 5 SSW boundary indicators
     sswDirectSepStartLine.position.z = R * Math.sin(ui.alphaFrontDeg * DEG2RAD);
@@ -205,30 +901,44 @@ function applyControls() {
     sswInducedStartLine.position.z = R * Math.sin(ui.inducedStartDeg * DEG2RAD);
     sswNaturalZoneLine.position.z = R * Math.sin(ui.naturalZoneDeg * DEG2RAD);
     sswInducedEndLine.position.z = R * Math.sin(ui.alphaBackDeg * DEG2RAD);
+    updateSeamZones();
+    updatePerceived();
+}
+
+const seamWorldQuat = new THREE.Quaternion();
+
+/** Recolour the seam by SSW zone for the ball's current orientation (no-op in other modes). */
+function updateSeamZones() {
+    if (seamColoring.mode !== 'zones') return;
+    seamWorldQuat.copy(spinAxisGroup.quaternion).multiply(ballOrientationGroup.quaternion);
+    seamColoring.update(seamWorldQuat, sswPlaneZ(
+        ui.alphaFrontDeg, ui.inducedZoneDeg, ui.inducedStartDeg, ui.naturalZoneDeg, ui.alphaBackDeg));
+}
+
+function collectParams() {
+    return {
+        seamPoints: seamModel.points, seamRadius: seamModel.seamRadius,
+        orientX: ui.orientX, orientY: ui.orientY, orientZ: ui.orientZ,
+        spinDirection: ui.spinDirection, gyroAngle: ui.gyroAngle,
+        alphaFrontDeg: ui.alphaFrontDeg, inducedZoneDeg: ui.inducedZoneDeg, inducedStartDeg: ui.inducedStartDeg,
+        naturalZoneDeg: ui.naturalZoneDeg, alphaBackDeg: ui.alphaBackDeg
+    };
 }
 
 function runSSW() {
     try {
         // Collect parameters
-        const params = {
-            seamPoints: seamPointsRaw,
-            orientX: ui.orientX, orientY: ui.orientY, orientZ: ui.orientZ,
-            spinDirection: ui.spinDirection, gyroAngle: ui.gyroAngle,
-            alphaFrontDeg: ui.alphaFrontDeg, inducedZoneDeg: ui.inducedZoneDeg, inducedStartDeg: ui.inducedStartDeg,
-            naturalZoneDeg: ui.naturalZoneDeg, alphaBackDeg: ui.alphaBackDeg
-        };
+        const params = collectParams();
 
         if (updateSSW) {
             requestSSW(params);
             updateSSW = false;
         }
 
-        // Check if curve needs update
-        const curveParamsKey = JSON.stringify({
-            ox: params.orientX, oy: params.orientY, oz: params.orientZ,
-            sd: params.spinDirection,
-            af: params.alphaFrontDeg, iz: params.inducedZoneDeg, is: params.inducedStartDeg, nz: params.naturalZoneDeg, ab: params.alphaBackDeg
-        });
+        // Check if curve needs update (the swept parameter itself doesn't change the curve)
+        const sweep = ui.sweep;
+        const { seamPoints, [sweep.param]: _swept, ...curveInputs } = params;
+        const curveParamsKey = JSON.stringify({ ...curveInputs, sweep, seamModelVersion });
 
         if (curveParamsKey !== lastCurveParams) {
             if (updateCurve) {
@@ -240,7 +950,8 @@ function runSSW() {
             updateCurve = false;
         }
 
-        charts.updateCursor(ui.gyroAngle / DEG2RAD);
+        updateChartCursor();
+        updateAtlasCursor();
     } catch (err) {
         console.error("runSSW Error:", err);
     }
@@ -294,11 +1005,30 @@ function animate(timestamp) {
     const mainW = w - panelW - sidebarW;
     const visH = h - panelH;
 
-    renderer.setViewport(mainX, panelH, mainW, visH);
-    renderer.setScissor(mainX, panelH, mainW, visH);
-    camera.aspect = mainW / visH;
+    // Side-by-side compare: A in the left half, B in the right half (same camera)
+    const sideBySide = compareBall.mode === 'side';
+    const viewW = sideBySide ? mainW / 2 : mainW;
+
+    renderer.setViewport(mainX, panelH, viewW, visH);
+    renderer.setScissor(mainX, panelH, viewW, visH);
+    mainViewport = { left: mainX, top: h - panelH - visH, width: viewW, height: visH };
+    camera.aspect = viewW / visH;
     camera.updateProjectionMatrix();
-    renderer.render(scene, camera);
+    if (sideBySide) {
+        compareBall.setVisible(false);
+        renderer.render(scene, camera);
+
+        const primary = [spinAxisGroup, dashboard.group, trajectory.group];
+        const wasVisible = primary.map(o => o.visible);
+        primary.forEach(o => { o.visible = false; });
+        compareBall.setVisible(true);
+        renderer.setViewport(mainX + viewW, panelH, viewW, visH);
+        renderer.setScissor(mainX + viewW, panelH, viewW, visH);
+        renderer.render(scene, camera);
+        primary.forEach((o, i) => { o.visible = wasVisible[i]; });
+    } else {
+        renderer.render(scene, camera);
+    }
 
     // ── Mini top-down viewport ─────────────────────────
     // Use DOM element position
@@ -388,7 +1118,10 @@ function animate(timestamp) {
 
         renderer.setViewport(mx, my, mw, mh);
         renderer.setScissor(mx, my, mw, mh);
+        // Top view shows B only when it shares A's spot
+        compareBall.setVisible(compareBall.mode === 'overlay');
         renderer.render(scene, topCamera);
+        compareBall.setVisible(compareBall.mode !== 'off');
     }
     renderer.setScissorTest(false);
 
@@ -403,9 +1136,9 @@ function animate(timestamp) {
     // It assumes viewport starts at 0.
     // I need to update `updateLabelPosition` to accept `offsetX`.
 
-    updateLabelPosition(labelA, posA, mainW, visH, panelH, mainX);
-    updateLabelPosition(labelB, posB, mainW, visH, panelH, mainX);
-    updateLabelPosition(labelTop, posTop, mainW, visH, panelH, mainX);
+    updateLabelPosition(labelA, posA, viewW, visH, panelH, mainX);
+    updateLabelPosition(labelB, posB, viewW, visH, panelH, mainX);
+    updateLabelPosition(labelTop, posTop, viewW, visH, panelH, mainX);
 }
 
 function updateLabelPosition(el, pos, mainW, visH, panelH, mainX = 0) {
@@ -437,6 +1170,11 @@ toggleBtn.addEventListener('click', () => {
 });
 
 // ── Kick off ─────────────────────────────────────────
+updateSeamModelInfo();
+restoreURLState();
+session = createSession(createScenario(`${t('scenario')} 1`, captureState()));
+ui.setScenarios(session.scenarios, session.activeScenario);
+renderArsenal();
 applyControls();
 runSSW();
 requestAnimationFrame(animate);
@@ -0,0 +1,185 @@
+import { movementDeviation } from './trajectory.js';
+
+export const PITCH_COLORS = ['#f97316', '#22c55e', '#3b82f6', '#eab308', '#ec4899', '#a855f7'];
+
+/**
+ * Pitch movement plot — induced vertical break vs horizontal break (in).
+ * Each pitch is drawn as a hollow spin-based (Magnus-only) point linked to a
+ * filled SSW-adjusted point, labelled with the deviation angle between them.
+ * Observed movement from imported tracking data is drawn as a white cross.
+ * HB is positive toward the pitcher's right, same frame as the flight model.
+ */
+export class MovementPlot {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.pitches = [];
+        this.width = 100;
+        this.height = 100;
+        this._build();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    _build() {
+        if (!this.container) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        wrapper.style.borderRadius = '6px';
+        wrapper.style.padding = '4px 8px';
+        wrapper.style.pointerEvents = 'auto';
+
+        const header = document.createElement('div');
+        header.textContent = '位移圖 (IVB / HB)';
+        header.style.color = '#cbd5e1';
+        header.style.fontSize = '12px';
+        header.style.marginBottom = '2px';
+        header.style.fontWeight = '600';
+        header.style.fontFamily = "'Outfit', sans-serif";
+
+        const canvas = document.createElement('canvas');
+        canvas.style.width = '100%';
+        canvas.style.display = 'block';
+
+        wrapper.appendChild(header);
+        wrapper.appendChild(canvas);
+        this.container.appendChild(wrapper);
+
+        this.wrapper = wrapper;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        requestAnimationFrame(() => this.resize());
+    }
+
+    resize() {
+        if (!this.wrapper) return;
+        const rect = this.wrapper.getBoundingClientRect();
+        const width = Math.floor(rect.width) - 16; // minus horizontal padding
+        if (width <= 0) return;
+        const height = Math.min(width, 220);
+        const dpr = window.devicePixelRatio || 1;
+
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.height = `${height}px`;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.scale(dpr, dpr);
+        this.draw();
+    }
+
+    /**
+     * @param {{name:string, spinBased:{hb:number, ivb:number}, sswAdjusted:{hb:number, ivb:number},
+     *          observed?:{hb:number, ivb:number}|null}[]} pitches
+     */
+    update(pitches) {
+        this.pitches = pitches;
+        this.draw();
+    }
+
+    draw() {
+        if (!this.ctx) return;
+        const { ctx, width: w, height: h } = this;
+        ctx.clearRect(0, 0, w, h);
+
+        // Symmetric range in 10" steps, at least ±20"
+        let extent = 20;
+        for (const p of this.pitches) {
+            for (const m of [p.spinBased, p.sswAdjusted, p.observed].filter(Boolean)) {
+                extent = Math.max(extent, Math.abs(m.hb), Math.abs(m.ivb));
+            }
+        }
+        extent = Math.ceil(extent / 10) * 10;
+
+        const pad = 14;
+        const size = Math.min(w, h) - 2 * pad;
+        const ox = w / 2, oy = h / 2;
+        const mapX = (hb) => ox + (hb / extent) * (size / 2);
+        const mapY = (ivb) => oy - (ivb / extent) * (size / 2);
+
+        // Grid
+        ctx.strokeStyle = '#1e293b';
+        ctx.lineWidth = 1;
+        for (let v = -extent; v <= extent; v += 10) {
+            ctx.beginPath();
+            ctx.moveTo(mapX(v), mapY(-extent));
+            ctx.lineTo(mapX(v), mapY(extent));
+            ctx.moveTo(mapX(-extent), mapY(v));
+            ctx.lineTo(mapX(extent), mapY(v));
+            ctx.stroke();
+        }
+        ctx.strokeStyle = '#475569';
+        ctx.beginPath();
+        ctx.moveTo(mapX(0), mapY(-extent));
+        ctx.lineTo(mapX(0), mapY(extent));
+        ctx.moveTo(mapX(-extent), mapY(0));
+        ctx.lineTo(mapX(extent), mapY(0));
+        ctx.stroke();
+
+        // Axis labels
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '10px "Outfit", sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`HB ${extent}`, mapX(extent), mapY(0) + 2);
+        ctx.textAlign = 'left';
+        ctx.fillText(`IVB ${extent}`, mapX(0) + 3, mapY(extent));
+
+        if (this.pitches.length === 0) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.font = '14px "Outfit", sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('計算中...', w / 2, h / 2);
+            return;
+        }
+
+        this.pitches.forEach((p, i) => {
+            const color = p.color || PITCH_COLORS[i % PITCH_COLORS.length];
+            const x0 = mapX(p.spinBased.hb), y0 = mapY(p.spinBased.ivb);
+            const x1 = mapX(p.sswAdjusted.hb), y1 = mapY(p.sswAdjusted.ivb);
+
+            // Link
+            ctx.beginPath();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 2]);
+            ctx.moveTo(x0, y0);
+            ctx.lineTo(x1, y1);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Spin-based (hollow) & SSW-adjusted (filled)
+            ctx.beginPath();
+            ctx.lineWidth = 1.5;
+            ctx.arc(x0, y0, 4, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.fillStyle = color;
+            ctx.arc(x1, y1, 4, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Observed (tracking data), if any
+            if (p.observed) {
+                const xo = mapX(p.observed.hb), yo = mapY(p.observed.ivb);
+                ctx.beginPath();
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 1.5;
+                ctx.moveTo(xo - 4, yo - 4);
+                ctx.lineTo(xo + 4, yo + 4);
+                ctx.moveTo(xo - 4, yo + 4);
+                ctx.lineTo(xo + 4, yo - 4);
+                ctx.stroke();
+            }
+
+            // Label: name + deviation angle
+            const dev = movementDeviation(p.spinBased, p.sswAdjusted);
+            ctx.fillStyle = '#fff';
+            ctx.font = '11px sans-serif';
+            ctx.textAlign = x1 < ox ? 'right' : 'left';
+            ctx.textBaseline = 'middle';
+            const tx = x1 < ox ? x1 - 7 : x1 + 7;
+            ctx.fillText(`${p.name ? p.name + ' ' : ''}Δ${dev.toFixed(0)}°`, tx, y1);
+        });
+    }
+}
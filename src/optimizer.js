@@ -0,0 +1,143 @@
+import { computeSSW, angleToClockString } from './ssw.js';
+import { DEG2RAD, RAD2DEG } from './constants.js';
+import { FORCE_CLOCK_MIN_EFFECT } from './batch.js';
+import { sameOrientation } from './symmetry.js';
+
+/**
+ * Inverse design: search seam orientations for a fixed spin axis.
+ *
+ * Only orientY/orientZ are searched. The Euler order is XYZ, so the initial
+ * orientation is Rx·Ry·Rz and the spin (also about local X) is applied on the
+ * left of it: orientX only shifts the rotation phase and does not change the
+ * SSW result over a full revolution. The current orientX is kept as-is.
+ * orientZ and orientZ ± 180° are the same seam (a seam symmetry, see
+ * symmetry.js), so orientZ is searched over half a turn.
+ *
+ * Objectives:
+ *   'max'   — maximize sswEffectIndex
+ *   'min'   — minimize sswEffectIndex
+ *   'clock' — maximize the SSW force component toward targetAngle
+ *             (sswEffectIndex · cos(arrowAngle − targetAngle))
+ *
+ * Coarse grid over orientY ∈ [-90, 90], orientZ ∈ [-90, 90), then a pattern
+ * search refines the best grid cells down to 1°. All evaluations use fast mode.
+ */
+export const OPTIMIZER_DEFAULTS = {
+    objective: 'max',
+    targetAngle: 0,
+    gridStep: 15,
+    topN: 8,
+};
+
+// Candidates closer than this (modulo seam symmetry and spin phase) are duplicates
+const DEDUPE_DEG = 4;
+
+/** Fold orientZ into [-90, 90) using the 180° seam symmetry about Z. */
+function foldZ(deg) {
+    return ((deg + 90) % 180 + 180) % 180 - 90;
+}
+
+function objectiveScore(res, objective, targetAngle) {
+    if (objective === 'min') return -res.sswEffectIndex;
+    if (objective === 'clock') return res.sswEffectIndex * Math.cos(res.arrowAngle - targetAngle);
+    return res.sswEffectIndex;
+}
+
+/**
+ * @param {Float32Array} seamPts
+ * @param {object} params - computeSSW inputs (radians), as sent to the worker
+ * @param {object} options - see OPTIMIZER_DEFAULTS
+ * @param {function} [onProgress] - called with a fraction in [0, 1]
+ * @returns {object[]} candidates sorted best first
+ */
+export function optimizeOrientation(seamPts, params, options = {}, onProgress = () => { }) {
+    const { objective, targetAngle, gridStep, topN } = { ...OPTIMIZER_DEFAULTS, ...options };
+    const step0 = Math.max(1, Math.round(gridStep));
+    const orientXDeg = Math.round(params.orientX * RAD2DEG);
+
+    const cache = new Map();
+    const evaluate = (y, z) => {
+        y = Math.max(-90, Math.min(90, y));
+        z = foldZ(z);
+        const key = `${y},${z}`;
+        if (cache.has(key)) return cache.get(key);
+        const res = computeSSW(
+            seamPts,
+            params.orientX, y * DEG2RAD, z * DEG2RAD,
+            params.spinDirection, params.gyroAngle,
+            params.alphaFrontDeg, params.inducedZoneDeg, params.inducedStartDeg,
+            params.naturalZoneDeg, params.alphaBackDeg,
+            true, // fast mode
+            params.seamRadius
+        );
+        const cand = {
+            orientX: orientXDeg, orientY: y, orientZ: z,
+            sswEffectIndex: res.sswEffectIndex,
+            arrowAngle: res.arrowAngle,
+            forceClock: res.sswEffectIndex > FORCE_CLOCK_MIN_EFFECT ? angleToClockString(res.arrowAngle) : '—',
+            score: objectiveScore(res, objective, targetAngle),
+        };
+        cache.set(key, cand);
+        return cand;
+    };
+
+    // ── Coarse grid ──────────────────────────────────
+    const ys = [];
+    for (let y = -90; y <= 90; y += step0) ys.push(y);
+    const zs = [];
+    for (let z = -90; z < 90; z += step0) zs.push(z);
+
+    const gridTotal = ys.length * zs.length;
+    const refineBudget = topN * 2 * 12; // rough estimate for progress only
+    const total = gridTotal + refineBudget;
+    let done = 0;
+
+    const grid = [];
+    for (const y of ys) {
+        for (const z of zs) {
+            grid.push(evaluate(y, z));
+            done++;
+        }
+        onProgress(done / total);
+    }
+    grid.sort((a, b) => b.score - a.score);
+
+    // ── Pattern-search refinement of the best cells ──
+    const seeds = grid.slice(0, topN * 2);
+    const refined = [];
+    for (const seed of seeds) {
+        let best = seed;
+        let step = Math.max(1, Math.round(step0 / 2));
+        let iter = 0;
+        while (iter++ < 40) {
+            const neighbours = [
+                evaluate(best.orientY + step, best.orientZ),
+                evaluate(best.orientY - step, best.orientZ),
+                evaluate(best.orientY, best.orientZ + step),
+                evaluate(best.orientY, best.orientZ - step),
+            ];
+            const top = neighbours.reduce((a, b) => (b.score > a.score ? b : a));
+            if (top.score > best.score) {
+                best = top;
+            } else if (step > 1) {
+                step = Math.max(1, Math.round(step / 2));
+            } else {
+                break;
+            }
+        }
+        refined.push(best);
+        done = Math.min(total, done + refineBudget / seeds.length);
+        onProgress(done / total);
+    }
+
+    // ── Rank & de-duplicate (seeds often converge to the same or an equivalent optimum) ──
+    refined.sort((a, b) => b.score - a.score);
+    const out = [];
+    for (const c of refined) {
+        const dup = out.some(o => sameOrientation(o, c, DEDUPE_DEG, { ignoreSpinPhase: true }));
+        if (!dup) out.push(c);
+        if (out.length >= topN) break;
+    }
+    onProgress(1);
+    return out;
+}
@@ -0,0 +1,44 @@
+import * as THREE from 'three';
+import { DEG2RAD, RAD2DEG } from './constants.js';
+
+/**
+ * Ball orientation conversions. UIControls keeps the orientation as a
+ * quaternion; the sliders show it as XYZ Euler angles in degrees (what
+ * updateBallOrientation and computeSSW take, in radians).
+ */
+
+/** Euler sliders (deg) → quaternion. */
+export function eulerDegToQuat(x, y, z) {
+    return new THREE.Quaternion().setFromEuler(new THREE.Euler(x * DEG2RAD, y * DEG2RAD, z * DEG2RAD, 'XYZ'));
+}
+
+/** Quaternion → Euler slider values (deg): x, z in [-180, 180], y in [-90, 90]. */
+export function quatToEulerDeg(q) {
+    const e = new THREE.Euler().setFromQuaternion(q.clone().normalize(), 'XYZ');
+    return { x: e.x * RAD2DEG, y: e.y * RAD2DEG, z: e.z * RAD2DEG };
+}
+
+/** @returns {{axis: THREE.Vector3, angle: number}} unit axis, angle in degrees [0, 180] */
+export function quatToAxisAngle(q) {
+    const n = q.clone().normalize();
+    if (n.w < 0) n.set(-n.x, -n.y, -n.z, -n.w); // same rotation, angle ≤ 180°
+    const angle = 2 * Math.acos(Math.min(1, n.w));
+    const s = Math.sqrt(1 - n.w * n.w);
+    const axis = s < 1e-6 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(n.x / s, n.y / s, n.z / s);
+    return { axis, angle: angle * RAD2DEG };
+}
+
+/** Axis (any length) + angle (deg) → quaternion; null for a zero or invalid axis. */
+export function axisAngleToQuat(x, y, z, angleDeg) {
+    if (![x, y, z, angleDeg].every(Number.isFinite)) return null;
+    const axis = new THREE.Vector3(x, y, z);
+    if (axis.lengthSq() === 0) return null;
+    return new THREE.Quaternion().setFromAxisAngle(axis.normalize(), angleDeg * DEG2RAD);
+}
+
+/** Normalized quaternion from typed components; null for zero or invalid input. */
+export function quatFromComponents(w, x, y, z) {
+    if (![w, x, y, z].every(Number.isFinite)) return null;
+    const q = new THREE.Quaternion(x, y, z, w);
+    return q.lengthSq() === 0 ? null : q.normalize();
+}
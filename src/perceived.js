@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+import { R, SEAM_POINTS, SEAM_TUBE_RADIUS } from './constants.js';
+
+/**
+ * Batter-perceived appearance — the ball averaged over one revolution.
+ *
+ * Spinning about its axis, every surface point sweeps a circle of constant
+ * polar angle θ from the spin axis, so the time-averaged ball is a set of
+ * bands around the axis: the seam coverage of each band is the fraction of
+ * a revolution during which seam passes over it. A seam running close to the
+ * axis pole gives the slider "dot"; seam concentrated at a few latitudes
+ * gives a four-seamer's stripes.
+ *
+ * θ is measured in the spin axis group's frame (axis = local X), where a seam
+ * point sits at initQuat · p (updateBallOrientation's spin only changes its
+ * longitude), so coverage depends on the orientation alone; the spin axis
+ * group then places the pattern in the world.
+ */
+
+export const COVERAGE_BINS = 180; // 1° polar-angle bins, 0° = +X pole
+
+/**
+ * Seam coverage [0, 1] per polar-angle bin. Each seam point carries its share
+ * of the seam's area (arc length × tube width), spread over the bins its tube
+ * spans; coverage is that area over the band's area 2πR² sin θ dθ.
+ */
+export function seamCoverage(seamPts, orientX, orientY, orientZ, seamRadius = SEAM_TUBE_RADIUS) {
+    const initQuat = new THREE.Quaternion().setFromEuler(new THREE.Euler(orientX, orientY, orientZ, 'XYZ'));
+    const binWidth = Math.PI / COVERAGE_BINS;
+    const halfWidth = seamRadius / R; // angular half-width of the tube
+    const area = new Float64Array(COVERAGE_BINS);
+    const p = new THREE.Vector3();
+    const prev = new THREE.Vector3();
+    const next = new THREE.Vector3();
+
+    for (let i = 0; i < SEAM_POINTS; i++) {
+        p.fromArray(seamPts, i * 3);
+        prev.fromArray(seamPts, ((i + SEAM_POINTS - 1) % SEAM_POINTS) * 3);
+        next.fromArray(seamPts, ((i + 1) % SEAM_POINTS) * 3);
+        const ds = (p.distanceTo(prev) + p.distanceTo(next)) / 2;
+        const a = ds * 2 * seamRadius;
+
+        p.applyQuaternion(initQuat);
+        const theta = Math.acos(Math.max(-1, Math.min(1, p.x / p.length())));
+        const lo = Math.max(0, theta - halfWidth);
+        const hi = Math.min(Math.PI, theta + halfWidth);
+        // Spread `a` uniformly over [lo, hi] in θ
+        for (let b = Math.floor(lo / binWidth); b <= Math.min(COVERAGE_BINS - 1, Math.floor(hi / binWidth)); b++) {
+            const overlap = Math.min(hi, (b + 1) * binWidth) - Math.max(lo, b * binWidth);
+            if (overlap > 0) area[b] += a * overlap / (hi - lo);
+        }
+    }
+
+    const coverage = new Float32Array(COVERAGE_BINS);
+    for (let b = 0; b < COVERAGE_BINS; b++) {
+        // Exact band area, so the pole bins are not divided by ~0
+        const bandArea = 2 * Math.PI * R * R * (Math.cos(b * binWidth) - Math.cos((b + 1) * binWidth));
+        coverage[b] = Math.min(1, area[b] / bandArea);
+    }
+    return coverage;
+}
+
+const BALL_COLOR = new THREE.Color(0xf5f5f0);
+const SEAM_COLOR = new THREE.Color(0xcc2200);
+
+/** Sphere shaded by seam coverage, attached to the (non-spinning) spin axis group. */
+export class PerceivedBall {
+    constructor(spinAxisGroup) {
+        const geo = new THREE.SphereGeometry(R * 1.002, 96, COVERAGE_BINS);
+        geo.rotateZ(-Math.PI / 2); // poles on ±X, the spin axis
+        geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(geo.attributes.position.count * 3), 3));
+        const mat = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.55, metalness: 0.02 });
+        this.mesh = new THREE.Mesh(geo, mat);
+        this.mesh.name = 'PerceivedBall';
+        this.mesh.visible = false;
+        spinAxisGroup.add(this.mesh);
+        this.coverage = null;
+    }
+
+    get visible() { return this.mesh.visible; }
+    setVisible(visible) { this.mesh.visible = visible; }
+
+    /** @param {Float32Array} coverage - from seamCoverage */
+    update(coverage) {
+        this.coverage = coverage;
+        const pos = this.mesh.geometry.attributes.position;
+        const col = this.mesh.geometry.attributes.color;
+        const c = new THREE.Color();
+        for (let i = 0; i < pos.count; i++) {
+            const theta = Math.acos(Math.max(-1, Math.min(1, pos.getX(i) / (R * 1.002))));
+            // Vertex rows sit on bin edges: average the bins on either side
+            const b = Math.round(theta / Math.PI * COVERAGE_BINS);
+            const v = (coverage[Math.max(0, b - 1)] + coverage[Math.min(COVERAGE_BINS - 1, b)]) / 2;
+            c.copy(BALL_COLOR).lerp(SEAM_COLOR, v);
+            col.setXYZ(i, c.r, c.g, c.b);
+        }
+        col.needsUpdate = true;
+    }
+}
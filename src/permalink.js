@@ -0,0 +1,97 @@
+/**
+ * Shareable URL state — the full control configuration encoded in location.hash.
+ *
+ *   #ox=0&oy=-40&oz=0&sd=180&gyro=17&rpm=2300&v=90&p1=-11&…&mode=combined&seam=1&lang=en&cam=0,0,-4
+ *
+ * Numeric parameters use slider units (see UIControls.getState). The ball
+ * orientation is also written exactly as a quaternion, q=w,x,y,z, which wins
+ * over the rounded ox/oy/oz when restoring (UIControls.setState). decodeState
+ * only returns the keys that are present and valid, so a hand-edited or older
+ * link restores what it can and leaves the rest at the current values. A
+ * custom seam model adds its values as cs=pinch,width,height,circumference,mass.
+ * A measured seam (seamimport.js) is too large for a link: `ball` is left out
+ * for it, and only session files keep it.
+ */
+
+const PARAM_KEYS = {
+    orientX: 'ox', orientY: 'oy', orientZ: 'oz',
+    spinDirection: 'sd', gyroAngle: 'gyro', spinRate: 'rpm', velocity: 'v',
+    alphaFrontDeg: 'p1', inducedZoneDeg: 'p2', inducedStartDeg: 'p3', naturalZoneDeg: 'p4', alphaBackDeg: 'p5',
+};
+
+const FLAG_KEYS = {
+    visibleSeam: 'seam', visibleContrib: 'contrib', visibleTrajectory: 'traj', batterView: 'batter',
+};
+
+const CHOICES = {
+    displayMode: { key: 'mode', values: ['combined', 'slice'] },
+    dragAxis: { key: 'drag', values: ['free', 'x', 'y', 'z'] },
+    seamColor: { key: 'seamcolor', values: ['plain', 'zones', 'attribution'] },
+    seamModel: { key: 'ball', values: ['mlb', 'ncaa', 'softball', 'custom'] },
+    lang: { key: 'lang', values: ['zh-TW', 'en'] },
+};
+
+// Custom seam model values, in this order, as `cs=` (only with ball=custom)
+const SEAM_CUSTOM_KEYS = ['pinch', 'seamWidthMm', 'seamHeightMm', 'circumferenceIn', 'massG'];
+
+function round(v, digits) {
+    const f = 10 ** digits;
+    return Math.round(v * f) / f;
+}
+
+/**
+ * @param {object} state - UIControls.getState() plus optional camera [x, y, z]
+ * @returns {string} hash without the leading '#'
+ */
+export function encodeState(state) {
+    const q = new URLSearchParams();
+    for (const [name, key] of Object.entries(PARAM_KEYS)) {
+        if (state.params?.[name] !== undefined) q.set(key, round(state.params[name], 2));
+    }
+    for (const [name, { key, values }] of Object.entries(CHOICES)) {
+        if (values.includes(state[name])) q.set(key, state[name]);
+    }
+    for (const [name, key] of Object.entries(FLAG_KEYS)) {
+        if (state[name] !== undefined) q.set(key, state[name] ? '1' : '0');
+    }
+    if (state.seamModel === 'custom' && state.seamCustom) {
+        q.set('cs', SEAM_CUSTOM_KEYS.map(k => round(state.seamCustom[k], 3)).join(','));
+    }
+    if (state.orientation) q.set('q', state.orientation.map(v => round(v, 6)).join(','));
+    if (state.camera) q.set('cam', state.camera.map(v => round(v, 2)).join(','));
+    // Commas are legal in a fragment; keep the quaternion and camera triple readable
+    return q.toString().replace(/%2C/g, ',');
+}
+
+/** @returns {object} partial state in the same shape encodeState takes */
+export function decodeState(hash) {
+    const q = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = { params: {} };
+
+    for (const [name, key] of Object.entries(PARAM_KEYS)) {
+        if (!q.has(key)) continue;
+        const v = parseFloat(q.get(key));
+        if (Number.isFinite(v)) state.params[name] = v;
+    }
+    for (const [name, { key, values }] of Object.entries(CHOICES)) {
+        if (values.includes(q.get(key))) state[name] = q.get(key);
+    }
+    for (const [name, key] of Object.entries(FLAG_KEYS)) {
+        if (q.get(key) === '1' || q.get(key) === '0') state[name] = q.get(key) === '1';
+    }
+    if (q.has('cs')) {
+        const cs = q.get('cs').split(',').map(parseFloat);
+        if (cs.length === SEAM_CUSTOM_KEYS.length && cs.every(Number.isFinite)) {
+            state.seamCustom = Object.fromEntries(SEAM_CUSTOM_KEYS.map((k, i) => [k, cs[i]]));
+        }
+    }
+    if (q.has('q')) {
+        const quat = q.get('q').split(',').map(parseFloat);
+        if (quat.length === 4 && quat.every(Number.isFinite)) state.orientation = quat;
+    }
+    if (q.has('cam')) {
+        const cam = q.get('cam').split(',').map(parseFloat);
+        if (cam.length === 3 && cam.every(Number.isFinite)) state.camera = cam;
+    }
+    return state;
+}
@@ -0,0 +1,187 @@
+import { angleToClockString } from './ssw.js';
+import { FORCE_CLOCK_MIN_EFFECT } from './batch.js';
+
+/**
+ * Rotation phase chart — instantaneous SSW hemisphere sums (1 red, 2 blue)
+ * and their difference (green) over one revolution, from computeSSW's
+ * `phase` output. The cursor follows the ball's animation angle; the header
+ * shows the values at the cursor.
+ */
+export class PhaseChart {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.phase = null;
+        this.angle = 0;
+        this.width = 100;
+        this.height = 100;
+        this._build();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    _build() {
+        if (!this.container) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        wrapper.style.borderRadius = '6px';
+        wrapper.style.padding = '4px 8px';
+        wrapper.style.pointerEvents = 'auto';
+
+        const header = document.createElement('div');
+        header.style.color = '#cbd5e1';
+        header.style.fontSize = '12px';
+        header.style.marginBottom = '2px';
+        header.style.fontWeight = '600';
+        header.style.fontFamily = "'Outfit', sans-serif";
+        header.style.fontVariantNumeric = 'tabular-nums';
+
+        const canvas = document.createElement('canvas');
+        canvas.style.width = '100%';
+        canvas.style.display = 'block';
+
+        wrapper.appendChild(header);
+        wrapper.appendChild(canvas);
+        this.container.appendChild(wrapper);
+
+        this.wrapper = wrapper;
+        this.header = header;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        requestAnimationFrame(() => this.resize());
+    }
+
+    resize() {
+        if (!this.wrapper) return;
+        const rect = this.wrapper.getBoundingClientRect();
+        const width = Math.floor(rect.width) - 16; // minus horizontal padding
+        if (width <= 0) return;
+        const height = 110;
+        const dpr = window.devicePixelRatio || 1;
+
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.height = `${height}px`;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.scale(dpr, dpr);
+        this.draw();
+    }
+
+    /**
+     * @param {{steps:number, sumA:Float32Array, sumB:Float32Array, effect:Float32Array,
+     *          arrowAngle:Float32Array}|null} phase - computeSSW result.phase;
+     *          a NaN (or null, from a session file) arrowAngle means no force that step
+     */
+    update(phase) {
+        this.phase = phase;
+        this.draw();
+    }
+
+    /** Move the cursor to the ball's animation angle (rad, any turn count). */
+    setAngle(angle) {
+        const a = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        if (a === this.angle) return;
+        this.angle = a;
+        this.draw();
+    }
+
+    _stepAt(angle) {
+        const { steps } = this.phase;
+        return Math.round(angle / (Math.PI * 2) * steps) % steps;
+    }
+
+    _updateHeader() {
+        if (!this.header) return;
+        if (!this.phase) {
+            this.header.textContent = '旋轉相位';
+            return;
+        }
+        const k = this._stepAt(this.angle);
+        const { sumA, sumB, effect, arrowAngle } = this.phase;
+        const dir = effect[k] > FORCE_CLOCK_MIN_EFFECT && Number.isFinite(arrowAngle[k])
+            ? angleToClockString(arrowAngle[k]) : '—';
+        this.header.textContent =
+            `旋轉相位 ${(this.angle * 180 / Math.PI).toFixed(0)}° · ` +
+            `1: ${sumA[k].toFixed(2)} · 2: ${sumB[k].toFixed(2)} · SSW ${effect[k].toFixed(2)} · ${dir}`;
+    }
+
+    draw() {
+        if (!this.ctx) return;
+        this._updateHeader();
+        const { ctx, width: w, height: h } = this;
+        ctx.clearRect(0, 0, w, h);
+
+        if (!this.phase) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.font = '14px "Outfit", sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('計算中...', w / 2, h / 2);
+            return;
+        }
+
+        const { steps, sumA, sumB, effect } = this.phase;
+        const py = 12;
+        let yMax = 0;
+        for (let k = 0; k < steps; k++) yMax = Math.max(yMax, sumA[k], sumB[k], effect[k]);
+        if (yMax === 0) yMax = 1;
+        yMax *= 1.1;
+
+        const mapX = (k) => (k / steps) * w;
+        const mapY = (v) => h - py - (v / yMax) * (h - 2 * py);
+
+        // Quarter-turn grid
+        ctx.strokeStyle = '#1e293b';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let q = 1; q < 4; q++) {
+            ctx.moveTo((q / 4) * w, 0);
+            ctx.lineTo((q / 4) * w, h);
+        }
+        ctx.stroke();
+        ctx.fillStyle = '#64748b';
+        ctx.font = '10px "Outfit", sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        for (let q = 1; q < 4; q++) ctx.fillText(`${q * 90}°`, (q / 4) * w, h);
+
+        // Difference as filled area, hemispheres as lines
+        ctx.beginPath();
+        ctx.moveTo(0, mapY(0));
+        for (let k = 0; k < steps; k++) ctx.lineTo(mapX(k), mapY(effect[k]));
+        ctx.lineTo(mapX(steps - 1), mapY(0));
+        ctx.closePath();
+        ctx.fillStyle = '#10b98155';
+        ctx.fill();
+
+        this._drawLine(sumA, steps, mapX, mapY, '#ef4444');
+        this._drawLine(sumB, steps, mapX, mapY, '#3b82f6');
+
+        // Cursor at the current ball angle
+        const cx = (this.angle / (Math.PI * 2)) * w;
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(cx, 0);
+        ctx.lineTo(cx, h);
+        ctx.stroke();
+
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(yMax.toFixed(1), 2, 0);
+    }
+
+    _drawLine(values, steps, mapX, mapY, color) {
+        const { ctx } = this;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.2;
+        ctx.beginPath();
+        for (let k = 0; k < steps; k++) {
+            if (k === 0) ctx.moveTo(mapX(k), mapY(values[k]));
+            else ctx.lineTo(mapX(k), mapY(values[k]));
+        }
+        ctx.stroke();
+    }
+}
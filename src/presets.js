@@ -0,0 +1,129 @@
+import { sameOrientation } from './symmetry.js';
+
+/**
+ * Seam orientation presets — named ball orientations with a recommended spin axis.
+ *
+ * All values use the control panel slider units:
+ *   orientX/Y/Z     deg
+ *   spinDirection   spin direction slider (deg, 180 = 12:00 backspin)
+ *   gyroAngle       deg
+ *
+ * Built-in presets are labelled through i18n keys; user presets carry their own
+ * name and are stored in localStorage. Two presets are the same when their
+ * spin axis matches and their orientations are equivalent under the seam
+ * symmetry (symmetry.js), even if the slider triples differ.
+ */
+
+const STORAGE_KEY = 'ssw-user-presets';
+const FILE_FORMAT = 'ssw-presets';
+
+export const PRESET_FIELDS = ['orientX', 'orientY', 'orientZ', 'spinDirection', 'gyroAngle'];
+
+// Spin axes are typical right-handed values; SSW effect noted at the default planes.
+export const BUILTIN_PRESETS = [
+    // 4 seams cross the spin equator → near-symmetric wake, SSW ≈ 0
+    { id: 'four-seam', i18n: 'presetFourSeam', orientX: 0, orientY: -50, orientZ: 30, spinDirection: 150, gyroAngle: 10 },
+    // 2 seams cross, seams balanced across the judgment line, SSW ≈ 4
+    { id: 'two-seam', i18n: 'presetTwoSeam', orientX: 0, orientY: 0, orientZ: -70, spinDirection: 140, gyroAngle: 15 },
+    // Seam runs along the spin equator
+    { id: 'one-seam', i18n: 'presetOneSeam', orientX: 0, orientY: 0, orientZ: 45, spinDirection: 125, gyroAngle: 15 },
+    // 2-seam tilted so one hemisphere keeps a seam in the induced zone, SSW ≈ 50 toward 7:30
+    { id: 'ssw-sinker', i18n: 'presetSSWSinker', orientX: 0, orientY: 20, orientZ: 0, spinDirection: 130, gyroAngle: 20 },
+    { id: 'curveball', i18n: 'presetCurveball', orientX: 0, orientY: -50, orientZ: 30, spinDirection: 0, gyroAngle: 20 },
+    // Mostly gyro spin, seam-shifted toward the glove side
+    { id: 'sweeper', i18n: 'presetSweeper', orientX: 0, orientY: 0, orientZ: -70, spinDirection: 270, gyroAngle: 60 },
+];
+
+/** Validate and normalize one preset record; throws on missing / non-numeric fields. */
+export function normalizePreset(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Preset must be an object');
+    const name = String(raw.name ?? '').trim();
+    if (!name) throw new Error('Preset is missing a name');
+
+    const preset = { id: raw.id ? String(raw.id) : newPresetId(), name };
+    for (const key of PRESET_FIELDS) {
+        const val = typeof raw[key] === 'number' ? raw[key] : parseFloat(raw[key]);
+        if (!Number.isFinite(val)) throw new Error(`Preset "${name}" has an invalid ${key}`);
+        preset[key] = val;
+    }
+    return preset;
+}
+
+function newPresetId() {
+    return `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/** Build a user preset from the current slider values. */
+export function createPreset(name, values) {
+    return normalizePreset({ ...values, name, id: newPresetId() });
+}
+
+export function loadUserPresets() {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(data) ? data.map(normalizePreset) : [];
+    } catch {
+        // Corrupt storage shouldn't break the app
+        return [];
+    }
+}
+
+export function saveUserPresets(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+/** Serialize presets for download. */
+export function exportPresets(presets) {
+    return JSON.stringify({
+        format: FILE_FORMAT,
+        version: 1,
+        presets: presets.map(p => {
+            const out = { name: p.name };
+            for (const key of PRESET_FIELDS) out[key] = p[key];
+            return out;
+        }),
+    }, null, 2);
+}
+
+/**
+ * Parse an exported presets file (or a bare array of presets).
+ * Imported presets get fresh ids so they never clash with existing ones.
+ */
+export function importPresets(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data.presets;
+    if (!Array.isArray(list)) throw new Error('No presets found');
+    return list.map(p => normalizePreset({ ...p, id: undefined }));
+}
+
+/** Difference of two angles (deg) wrapped to [-180, 180). */
+function angleDiff(a, b) {
+    return ((a - b) % 360 + 540) % 360 - 180;
+}
+
+/** The first preset describing the same pitch as `values` (slider units), or null. */
+export function findEquivalentPreset(presets, values) {
+    return presets.find(p =>
+        Math.abs(angleDiff(p.spinDirection, values.spinDirection)) < 0.5 &&
+        Math.abs(p.gyroAngle - values.gyroAngle) < 0.5 &&
+        sameOrientation(p, values)) || null;
+}
+
+/**
+ * Merge imported presets into the user list; an imported preset replaces an
+ * existing one with the same name, and is dropped if another preset, user or
+ * `reserved` (the built-ins), already describes the same pitch.
+ * @returns {{presets: object[], added: number}} the merged list and how many imported presets went in
+ */
+export function mergePresets(existing, imported, reserved = []) {
+    const byName = new Map(existing.map(p => [p.name, p]));
+    let added = 0;
+    for (const p of imported) {
+        const prev = byName.get(p.name);
+        const others = [...reserved, ...[...byName.values()].filter(u => u !== prev)];
+        if (findEquivalentPreset(others, p)) continue;
+        byName.set(p.name, prev ? { ...p, id: prev.id } : p);
+        added++;
+    }
+    return { presets: [...byName.values()], added };
+}
@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+import { R, SEAM_POINTS } from './constants.js';
+import { sswZoneAt, SSW_ZONE_DIRECT, SSW_ZONE_INDUCED } from './ssw.js';
+
+/**
+ * Seam tube colouring.
+ *
+ * Modes:
+ *   'plain'        the seam's own material colour
+ *   'zones'        live SSW zone of each part of the seam, recoloured every
+ *                  frame from the ball's orientation (update)
+ *   'attribution'  per-point contribution to hemisphere 1 (red) vs 2 (blue)
+ *                  over a revolution, from computeSSW's `attribution`; fixed
+ *                  to the ball, so it only changes with a new result
+ *
+ * Colours are per ring of TubeGeometry vertices (one ring per tubular
+ * segment). For zones a ring is classified by the world z of its centre line
+ * point with the same rules computeSSW uses (sswZoneAt); ring centres are
+ * pushed back out to radius R, undoing the seam's sink into the ball, so they
+ * match computeSSW's seam points. For attribution each ring takes the value
+ * of its nearest seam point.
+ */
+
+export const SEAM_COLOR_MODES = ['plain', 'zones', 'attribution'];
+
+// Zone colours follow the plane indicators: 直接分離起點 green, 誘發分離區 blue
+const ZONE_COLORS = {
+    [SSW_ZONE_DIRECT]: new THREE.Color(0x16a34a),
+    [SSW_ZONE_INDUCED]: new THREE.Color(0x2563eb),
+};
+// Hemisphere colours as in the SSW charts (1 red, 2 blue)
+const HEMI_A = new THREE.Color(0xef4444);
+const HEMI_B = new THREE.Color(0x3b82f6);
+const NEUTRAL = new THREE.Color(0x64748b);
+const DIMMED = 0.75; // how far rings outside the highlighted arc fade to neutral
+
+export class SeamColoring {
+    /** @param {THREE.Mesh} seamMesh - the seam tube from createBaseball */
+    constructor(seamMesh, seamPts) {
+        this.mesh = seamMesh;
+        this.mode = 'plain';
+        this.baseColor = seamMesh.material.color.clone();
+        this.attribution = null;
+        this.highlight = null; // { start, count } seam point range, or null
+        this._p = new THREE.Vector3();
+        this._mapRings(seamPts);
+    }
+
+    /** Re-map after the seam mesh got a new geometry (seam model change); keeps the mode. */
+    setSeam(seamPts) {
+        this._mapRings(seamPts);
+        this.setMode(this.mode);
+    }
+
+    _mapRings(seamPts) {
+        const geo = this.mesh.geometry;
+        const { radialSegments, tubularSegments } = geo.parameters;
+        this.ringSize = radialSegments + 1;
+        this.ringCount = tubularSegments + 1;
+
+        // Ring centres in the ball's local frame, and their nearest seam point
+        const pos = geo.attributes.position;
+        this.centers = new Float32Array(this.ringCount * 3);
+        this.ringPoint = new Uint16Array(this.ringCount);
+        const c = new THREE.Vector3();
+        const v = new THREE.Vector3();
+        let nearest = 0;
+        for (let ring = 0; ring < this.ringCount; ring++) {
+            c.set(0, 0, 0);
+            // The last radial vertex repeats the first; leave it out of the average
+            for (let j = 0; j < radialSegments; j++) c.add(v.fromBufferAttribute(pos, ring * this.ringSize + j));
+            c.normalize().multiplyScalar(R);
+            c.toArray(this.centers, ring * 3);
+
+            // Rings run along the seam, so search forward from the previous match
+            let best = Infinity;
+            for (let k = 0; k < SEAM_POINTS; k++) {
+                const i = (nearest + k) % SEAM_POINTS;
+                const d = v.fromArray(seamPts, i * 3).distanceToSquared(c);
+                if (d < best) { best = d; this.ringPoint[ring] = i; }
+                else if (k > 50 && best < 1e-3) break;
+            }
+            nearest = this.ringPoint[ring];
+        }
+
+        this.colors = new THREE.BufferAttribute(new Float32Array(pos.count * 3), 3);
+        this.colors.setUsage(THREE.DynamicDrawUsage);
+        geo.setAttribute('color', this.colors);
+        this.zones = new Uint8Array(this.ringCount).fill(255); // 255 = not yet coloured
+    }
+
+    get enabled() { return this.mode !== 'plain'; }
+
+    setMode(mode) {
+        this.mode = SEAM_COLOR_MODES.includes(mode) ? mode : 'plain';
+        const mat = this.mesh.material;
+        mat.vertexColors = this.enabled;
+        // Vertex colours multiply the material colour; white keeps them exact
+        mat.color.copy(this.enabled ? new THREE.Color(0xffffff) : this.baseColor);
+        mat.needsUpdate = true;
+        this.zones.fill(255);
+        if (this.mode === 'attribution') this._paintAttribution();
+    }
+
+    /** @param {{sumA:Float32Array, sumB:Float32Array}|null} attribution - computeSSW result.attribution */
+    setAttribution(attribution) {
+        this.attribution = attribution;
+        if (this.mode === 'attribution') this._paintAttribution();
+    }
+
+    /** Emphasise one seam arc ({ start, count } seam points, see seamArcPoints) or clear with null. */
+    setHighlight(range) {
+        this.highlight = range;
+        if (this.mode === 'attribution') this._paintAttribution();
+    }
+
+    /**
+     * Recolour zones for the ball's current world orientation (no-op in other modes).
+     * @param {THREE.Quaternion} quat - spin axis group × ball orientation quaternion
+     * @param {object} planes - sswPlaneZ(...) of the current plane sliders
+     */
+    update(quat, planes) {
+        if (this.mode !== 'zones') return;
+        const { centers, zones } = this;
+        const p = this._p;
+        let changed = false;
+
+        for (let ring = 0; ring < this.ringCount; ring++) {
+            p.fromArray(centers, ring * 3).applyQuaternion(quat);
+            const zone = sswZoneAt(p.z, planes);
+            if (zone === zones[ring]) continue;
+            zones[ring] = zone;
+            changed = true;
+            this._setRing(ring, ZONE_COLORS[zone] || this.baseColor);
+        }
+        if (changed) this.colors.needsUpdate = true;
+    }
+
+    _paintAttribution() {
+        const { attribution, highlight } = this;
+        const color = new THREE.Color();
+        let scale = 0;
+        if (attribution) {
+            for (let i = 0; i < SEAM_POINTS; i++) {
+                scale = Math.max(scale, Math.abs(attribution.sumA[i] - attribution.sumB[i]));
+            }
+        }
+        for (let ring = 0; ring < this.ringCount; ring++) {
+            const i = this.ringPoint[ring];
+            const net = attribution && scale > 0 ? (attribution.sumA[i] - attribution.sumB[i]) / scale : 0;
+            // sqrt lifts weak points so secondary arcs still show
+            color.copy(NEUTRAL).lerp(net >= 0 ? HEMI_A : HEMI_B, Math.sqrt(Math.abs(net)));
+            if (highlight && (i - highlight.start + SEAM_POINTS) % SEAM_POINTS >= highlight.count) {
+                color.lerp(NEUTRAL, DIMMED);
+            }
+            this._setRing(ring, color);
+        }
+        this.colors.needsUpdate = true;
+    }
+
+    _setRing(ring, color) {
+        const colors = this.colors.array;
+        for (let j = 0; j < this.ringSize; j++) color.toArray(colors, (ring * this.ringSize + j) * 3);
+    }
+}
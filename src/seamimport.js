@@ -0,0 +1,295 @@
+import * as THREE from 'three';
+import { parseCSV } from './csv.js';
+import { computeSeamPoints } from './baseball.js';
+import { eulerDegToQuat } from './orientation.js';
+import { R, SEAM_POINTS } from './constants.js';
+
+/**
+ * Measured seam geometry — seam centre-line points from a 3D scan or point file.
+ *
+ * Files (any length unit; the points must run along the seam, in order):
+ *   CSV  x, y, z columns (by header name, or the first three columns without a header)
+ *   PLY  ASCII, vertex x/y/z in vertex order
+ *   OBJ  `v` lines, in the order of the first `l` polyline if there is one
+ *
+ * fitMeasuredSeam fits a sphere to the points (centre and radius, so the unit
+ * doesn't matter), projects them onto it, resamples the closed loop to
+ * SEAM_POINTS by arc length and rotates it onto the ideal seam of
+ * computeSeamPoints, starting at the same U-turn and running the same way, so
+ * orientation sliders and seam arcs mean the same as for the ideal ball. The
+ * fit error is the remaining distance from each point to the ideal curve.
+ *
+ * symmetry.js assumes the ideal seam; for a measured one its equivalent
+ * orientations are only approximately the same ball.
+ */
+
+const MIN_POINTS = 8;
+
+function toPoint(values) {
+    const p = values.slice(0, 3).map(Number);
+    return p.length === 3 && p.every(Number.isFinite) ? p : null;
+}
+
+function parseCSVPoints(text) {
+    const rows = parseCSV(text);
+    const keys = rows.length ? Object.keys(rows[0]) : [];
+    const find = (name) => keys.find(k => k.toLowerCase() === name);
+    const [kx, ky, kz] = ['x', 'y', 'z'].map(find);
+    if (kx && ky && kz) return rows.map(r => toPoint([r[kx], r[ky], r[kz]]));
+    // No x/y/z header: every line is a point (header keys would merge repeated numbers)
+    return text.split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map(line => toPoint(line.trim().split(/\s*[,;\s]\s*/)));
+}
+
+function parsePLYPoints(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines[0].trim() !== 'ply') throw new Error('Not a PLY file');
+    let vertexCount = 0;
+    let props = [];
+    let inVertex = false;
+    let i = 1;
+    for (; i < lines.length; i++) {
+        const words = lines[i].trim().split(/\s+/);
+        if (words[0] === 'format' && words[1] !== 'ascii') throw new Error('Only ASCII PLY files are supported');
+        if (words[0] === 'element') {
+            inVertex = words[1] === 'vertex';
+            if (inVertex) vertexCount = parseInt(words[2], 10);
+        } else if (words[0] === 'property' && inVertex) {
+            props.push(words[words.length - 1]);
+        } else if (words[0] === 'end_header') {
+            i++;
+            break;
+        }
+    }
+    const cols = ['x', 'y', 'z'].map(name => props.indexOf(name));
+    if (cols.some(c => c < 0)) throw new Error('PLY vertices have no x/y/z');
+    // The vertex element comes first in every PLY writer we know of
+    return lines.slice(i, i + vertexCount).map(line => {
+        const words = line.trim().split(/\s+/);
+        return toPoint(cols.map(c => words[c]));
+    });
+}
+
+function parseOBJPoints(text) {
+    const vertices = [];
+    let polyline = null;
+    for (const line of text.split(/\r?\n/)) {
+        const words = line.trim().split(/\s+/);
+        if (words[0] === 'v') vertices.push(toPoint(words.slice(1)));
+        else if (words[0] === 'l' && !polyline) polyline = words.slice(1).map(w => parseInt(w, 10));
+    }
+    if (!polyline) return vertices;
+    // 1-based, negative = relative to the end
+    return polyline.map(n => vertices[n < 0 ? vertices.length + n : n - 1]);
+}
+
+/**
+ * Read seam centre-line points from a CSV, PLY or OBJ file (chosen by extension).
+ * @returns {number[][]} [x, y, z] in the file's units
+ */
+export function parseSeamFile(text, fileName = '') {
+    const ext = fileName.toLowerCase().split('.').pop();
+    const parse = ext === 'ply' ? parsePLYPoints : ext === 'obj' ? parseOBJPoints : parseCSVPoints;
+    const points = parse(text);
+    if (points.some(p => !p)) throw new Error('File has a point that is not three numbers');
+    if (points.length < MIN_POINTS) throw new Error(`Need at least ${MIN_POINTS} seam points, found ${points.length}`);
+    return points;
+}
+
+// ── Fitting ──────────────────────────────────────────
+
+/** Solve the 4×4 system A·x = b by Gaussian elimination with partial pivoting. */
+function solve4(A, b) {
+    const m = A.map((row, i) => [...row, b[i]]);
+    for (let c = 0; c < 4; c++) {
+        let pivot = c;
+        for (let r = c + 1; r < 4; r++) if (Math.abs(m[r][c]) > Math.abs(m[pivot][c])) pivot = r;
+        [m[c], m[pivot]] = [m[pivot], m[c]];
+        if (Math.abs(m[c][c]) < 1e-12) return null;
+        for (let r = c + 1; r < 4; r++) {
+            const f = m[r][c] / m[c][c];
+            for (let k = c; k < 5; k++) m[r][k] -= f * m[c][k];
+        }
+    }
+    const x = [0, 0, 0, 0];
+    for (let r = 3; r >= 0; r--) {
+        let v = m[r][4];
+        for (let k = r + 1; k < 4; k++) v -= m[r][k] * x[k];
+        x[r] = v / m[r][r];
+    }
+    return x;
+}
+
+/** Least-squares sphere: |p|² = 2c·p + d, radius² = d + |c|². */
+function fitSphere(points) {
+    const A = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+    const b = [0, 0, 0, 0];
+    for (const [x, y, z] of points) {
+        const row = [2 * x, 2 * y, 2 * z, 1];
+        const rhs = x * x + y * y + z * z;
+        for (let i = 0; i < 4; i++) {
+            b[i] += row[i] * rhs;
+            for (let j = 0; j < 4; j++) A[i][j] += row[i] * row[j];
+        }
+    }
+    const s = solve4(A, b);
+    const center = s && new THREE.Vector3(s[0], s[1], s[2]);
+    const radius = s && Math.sqrt(s[3] + center.lengthSq());
+    if (!s || !Number.isFinite(radius) || radius <= 0) throw new Error('Points do not lie on a sphere');
+    return { center, radius };
+}
+
+/** Resample a closed polyline of unit vectors to `count` points evenly spaced by arc length. */
+function resampleLoop(dirs, count) {
+    const n = dirs.length;
+    const cum = [0];
+    for (let i = 0; i < n; i++) cum.push(cum[i] + dirs[i].distanceTo(dirs[(i + 1) % n]));
+    const total = cum[n];
+    const out = [];
+    let seg = 0;
+    for (let k = 0; k < count; k++) {
+        const s = (k / count) * total;
+        while (cum[seg + 1] < s) seg++;
+        const len = cum[seg + 1] - cum[seg];
+        const f = len > 0 ? (s - cum[seg]) / len : 0;
+        out.push(dirs[seg].clone().lerp(dirs[(seg + 1) % n], f).normalize());
+    }
+    return out;
+}
+
+function vectors(pts, step = 1) {
+    const out = [];
+    for (let i = 0; i < pts.length / 3; i += step) out.push(new THREE.Vector3().fromArray(pts, i * 3).divideScalar(R));
+    return out;
+}
+
+function nearestIndex(p, targets) {
+    let best = 0, bestD = Infinity;
+    for (let j = 0; j < targets.length; j++) {
+        const d = p.distanceToSquared(targets[j]);
+        if (d < bestD) { bestD = d; best = j; }
+    }
+    return best;
+}
+
+function meanNearestSq(points, q, targets) {
+    const p = new THREE.Vector3();
+    let sum = 0;
+    for (const v of points) sum += targets[nearestIndex(p.copy(v).applyQuaternion(q), targets)].distanceToSquared(p);
+    return sum / points.length;
+}
+
+/**
+ * Rotation best aligning points[i] with targets[i] (Horn's quaternion method):
+ * the dominant eigenvector of Horn's 4×4 matrix, by power iteration.
+ */
+function hornRotation(points, targets) {
+    const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    points.forEach((p, i) => {
+        const a = p.toArray(), b = targets[i].toArray();
+        for (let r = 0; r < 3; r++) for (let c = 0; c < 3; c++) S[r][c] += a[r] * b[c];
+    });
+    const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+    const N = [
+        [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+        [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+        [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+        [xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+    ];
+    // Shift so the wanted (largest) eigenvalue is also the largest in magnitude
+    const shift = N.flat().reduce((s, v) => s + Math.abs(v), 0);
+    let v = [1, 0, 0, 0];
+    for (let it = 0; it < 200; it++) {
+        const w = N.map((row, r) => row.reduce((s, x, c) => s + x * v[c], 0) + shift * v[r]);
+        const len = Math.hypot(...w);
+        const next = w.map(x => x / len);
+        const diff = Math.hypot(...next.map((x, i) => x - v[i]));
+        v = next;
+        if (diff < 1e-12) break;
+    }
+    return new THREE.Quaternion(v[1], v[2], v[3], v[0]).normalize();
+}
+
+/** Distance from p to the closed ideal polyline, checking the segments beside the nearest vertex. */
+function distanceToCurve(p, ideal) {
+    const n = ideal.length;
+    const j = nearestIndex(p, ideal);
+    const seg = new THREE.Line3();
+    const closest = new THREE.Vector3();
+    let best = p.distanceTo(ideal[j]);
+    for (const k of [(j + n - 1) % n, j]) {
+        seg.set(ideal[k], ideal[(k + 1) % n]).closestPointToPoint(p, true, closest);
+        best = Math.min(best, p.distanceTo(closest));
+    }
+    return best;
+}
+
+/**
+ * Fit measured seam points to the ball.
+ * @param {number[][]} raw - parseSeamFile output
+ * @returns {{points: Float32Array, rmsError: number, maxError: number, sphereError: number,
+ *            sourceRadius: number, count: number}} points: SEAM_POINTS × xyz on radius R;
+ *          errors in ball radii (rms / max distance to the ideal seam, rms distance off the fitted sphere);
+ *          sourceRadius: fitted ball radius in the file's units
+ */
+export function fitMeasuredSeam(raw) {
+    const { center, radius } = fitSphere(raw);
+    let sphereSq = 0;
+    const dirs = raw.map(([x, y, z]) => {
+        const d = new THREE.Vector3(x, y, z).sub(center);
+        sphereSq += (d.length() / radius - 1) ** 2;
+        return d.normalize();
+    });
+    const measured = resampleLoop(dirs, SEAM_POINTS);
+    const ideal = vectors(computeSeamPoints());
+
+    // ── Coarse rotation search on subsets, then ICP on the full curves ──
+    const coarse = measured.filter((_, i) => i % Math.ceil(SEAM_POINTS / 120) === 0);
+    const coarseIdeal = ideal.filter((_, i) => i % 5 === 0);
+    let q = new THREE.Quaternion();
+    let best = Infinity;
+    for (let x = -180; x < 180; x += 30) {
+        for (let y = -90; y <= 90; y += 30) {
+            for (let z = -180; z < 180; z += 30) {
+                const c = eulerDegToQuat(x, y, z);
+                const err = meanNearestSq(coarse, c, coarseIdeal);
+                if (err < best) { best = err; q = c; }
+            }
+        }
+    }
+    const icpPoints = measured.filter((_, i) => i % 4 === 0);
+    const rotated = icpPoints.map(p => p.clone());
+    for (let it = 0; it < 40; it++) {
+        rotated.forEach((p, i) => p.copy(icpPoints[i]).applyQuaternion(q));
+        const matches = rotated.map(p => ideal[nearestIndex(p, ideal)]);
+        const next = hornRotation(icpPoints, matches);
+        const change = 2 * Math.acos(Math.min(1, Math.abs(next.dot(q))));
+        q = next;
+        if (change < 1e-6) break;
+    }
+    measured.forEach(p => p.applyQuaternion(q));
+
+    // ── Start at the ideal seam's first point and run the same way ──
+    const start = nearestIndex(ideal[0], measured);
+    const ahead = nearestIndex(measured[(start + 20) % SEAM_POINTS], ideal);
+    const forward = ahead < SEAM_POINTS / 2;
+    const points = new Float32Array(SEAM_POINTS * 3);
+    let sumSq = 0, maxError = 0;
+    for (let k = 0; k < SEAM_POINTS; k++) {
+        const p = measured[((forward ? start + k : start - k) % SEAM_POINTS + SEAM_POINTS) % SEAM_POINTS];
+        const d = distanceToCurve(p, ideal);
+        sumSq += d * d;
+        maxError = Math.max(maxError, d);
+        p.clone().multiplyScalar(R).toArray(points, k * 3);
+    }
+
+    return {
+        points,
+        rmsError: Math.sqrt(sumSq / SEAM_POINTS),
+        maxError,
+        sphereError: Math.sqrt(sphereSq / raw.length),
+        sourceRadius: radius,
+        count: raw.length,
+    };
+}
@@ -0,0 +1,95 @@
+import { computeSeamPoints } from './baseball.js';
+
+/**
+ * Seam models — the ball in use: its seam curve, seam size and ball size.
+ *
+ *   points       seam centre line on the ball surface (SEAM_POINTS × xyz, radius R)
+ *   seamRadius   seam tube radius in ball radii; also the SSW detection band (computeSSW)
+ *   seamHeight   how far the seam stands out of the surface, in ball radii (drawing only)
+ *   radius, mass physical ball size (m, kg) for the flight model
+ *
+ * The scene is always drawn with the ball's radius as the unit R, so a bigger
+ * ball shows up as relatively thinner seams rather than a bigger sphere.
+ *
+ * The regulation balls share the figure-eight seam of computeSeamPoints and
+ * differ in seam and ball size. The custom model takes its seam pinch and
+ * sizes from the control panel (customSeamModel). Other sources of seam
+ * geometry add their own models with registerSeamModel, as main.js does for
+ * a measured seam imported with seamimport.js.
+ */
+
+export const DEFAULT_SEAM_MODEL = 'mlb';
+
+const MM = 0.001;
+const INCH = 0.0254;
+
+const models = new Map();
+
+/**
+ * @param {string} id
+ * @param {object} spec - { i18n | name, points: () => Float32Array, seamRadius, seamHeight, radius, mass }
+ */
+export function registerSeamModel(id, spec) {
+    let points = null; // computed on first use
+    models.set(id, {
+        ...spec,
+        id,
+        get points() { return points || (points = spec.points()); },
+    });
+}
+
+export function getSeamModel(id) {
+    return models.get(id) || models.get(DEFAULT_SEAM_MODEL);
+}
+
+/** Registered models, in registration order (the custom model is not among them). */
+export function listSeamModels() {
+    return [...models.values()];
+}
+
+// Seam sizes are in ball radii of a 9.05" ball: 0.054 ≈ 4 mm wide, 0.027 ≈ 1 mm high
+registerSeamModel('mlb', {
+    i18n: 'seamModelMLB',
+    points: () => computeSeamPoints(0.25),
+    seamRadius: 0.054, seamHeight: 0.027,
+    radius: 0.0366, mass: 0.145,
+});
+// Raised seams: same ball, seams ≈ 1.3 mm high
+registerSeamModel('ncaa', {
+    i18n: 'seamModelNCAA',
+    points: () => computeSeamPoints(0.25),
+    seamRadius: 0.054, seamHeight: 0.035,
+    radius: 0.0366, mass: 0.145,
+});
+// 12" fastpitch softball: same seam width in mm on a larger ball, flatter seams
+registerSeamModel('softball', {
+    i18n: 'seamModelSoftball',
+    points: () => computeSeamPoints(0.25),
+    seamRadius: 0.041, seamHeight: 0.012,
+    radius: 0.0485, mass: 0.184,
+});
+
+/** Control panel defaults for the custom model (the MLB ball). */
+export const CUSTOM_SEAM_DEFAULTS = {
+    pinch: 0.25, seamWidthMm: 3.95, seamHeightMm: 1.0, circumferenceIn: 9.05, massG: 145,
+};
+
+/**
+ * Seam model from the control panel's custom values.
+ * @param {object} custom - { pinch, seamWidthMm, seamHeightMm, circumferenceIn, massG }
+ */
+export function customSeamModel(custom) {
+    const c = { ...CUSTOM_SEAM_DEFAULTS, ...custom };
+    const radius = c.circumferenceIn * INCH / (Math.PI * 2);
+    const seamRadius = c.seamWidthMm * MM / 2 / radius;
+    return {
+        id: 'custom',
+        i18n: 'seamModelCustom',
+        points: computeSeamPoints(Math.max(0.05, Math.min(0.45, c.pinch))),
+        seamRadius,
+        // The seam can't stand out further than its own tube
+        seamHeight: Math.min(seamRadius, c.seamHeightMm * MM / radius),
+        radius,
+        mass: c.massG / 1000,
+    };
+}
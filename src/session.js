@@ -0,0 +1,144 @@
+/**
+ * Session files — a versioned JSON document holding several named scenarios.
+ *
+ *   {
+ *     format: 'ssw-session', version: 1, name, savedAt,
+ *     activeScenario: <id>,
+ *     scenarios: [{ id, name, notes, state, results }],
+ *     arsenal: [{ id, name, params }]
+ *   }
+ *
+ * state    UIControls.getState() plus camera [x, y, z] (same shape as the URL hash),
+ *          grip { markers: { index, middle, thumb: [x, y, z] ball-frame unit vectors }, release: 'h:mm' }
+ *          and, with the measured seam model, measuredSeam { name, points: [x, y, z, …], seamRadius,
+ *          seamHeight, radius, mass } (a link can't carry it). The ball orientation is
+ *          state.orientation, a quaternion [w, x, y, z].
+ * results  cached output of the last computation, or null:
+ *          { single: { asymmetryIndex, sswEffectIndex, arrowAngle, …, histograms, …, attribution, phase },
+ *            curve: { sweep, data } }
+ * arsenal  the pitch arsenal (shared by all scenarios); params in slider units
+ *
+ * Older documents are upgraded step by step through MIGRATIONS on load.
+ */
+
+export const SESSION_FORMAT = 'ssw-session';
+export const SESSION_VERSION = 1;
+
+const SINGLE_SCALARS = [
+    'asymmetryIndex', 'sswEffectIndex', 'arrowAngle', 'arrowWidth',
+    'numSlices', 'maxContribution', 'effectSumA', 'effectSumB',
+];
+
+let nextId = 1;
+function newScenarioId() {
+    return `s${Date.now().toString(36)}${(nextId++).toString(36)}`;
+}
+
+export function createScenario(name, state, results = null) {
+    return { id: newScenarioId(), name, notes: '', state, results };
+}
+
+export function createSession(firstScenario) {
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        name: '',
+        savedAt: null,
+        activeScenario: firstScenario.id,
+        scenarios: [firstScenario],
+        arsenal: [],
+    };
+}
+
+export function activeScenario(session) {
+    return session.scenarios.find(s => s.id === session.activeScenario) || session.scenarios[0];
+}
+
+// Typed arrays don't survive JSON.stringify; 5 decimals keeps files small
+const toList = (arr) => Array.from(arr, v => Math.round(v * 1e5) / 1e5);
+
+/** Strip a worker result down to JSON-safe cached data. */
+export function cacheResults(single, curve) {
+    const results = { single: null, curve: null };
+    if (single) {
+        results.single = {};
+        for (const key of SINGLE_SCALARS) results.single[key] = single[key];
+        results.single.zPlanes = toList(single.zPlanes);
+        results.single.combined = toList(single.combined);
+        results.single.combinedContrib = toList(single.combinedContrib);
+        results.single.histograms = single.histograms.map(toList);
+        results.single.contribHistograms = single.contribHistograms.map(toList);
+        if (single.attribution) {
+            results.single.attribution = {
+                sumA: toList(single.attribution.sumA), sumB: toList(single.attribution.sumB),
+            };
+        }
+        if (single.phase) {
+            const { steps, sumA, sumB, effect, arrowAngle } = single.phase;
+            // NaN directions (no contribution) become null in JSON
+            results.single.phase = {
+                steps, sumA: toList(sumA), sumB: toList(sumB), effect: toList(effect), arrowAngle: toList(arrowAngle),
+            };
+        }
+    }
+    if (curve) {
+        results.curve = { sweep: curve.sweep, data: curve.data };
+    }
+    return results;
+}
+
+export function serializeSession(session) {
+    return JSON.stringify({ ...session, savedAt: new Date().toISOString() });
+}
+
+/**
+ * Upgrade functions keyed by the version they upgrade from.
+ * Version 0 is a bare state object (what UIControls.getState returns, or the
+ * decoded URL hash) saved before session files existed.
+ */
+const MIGRATIONS = {
+    0: (doc) => {
+        const scenario = createScenario(doc.name || 'Scenario 1', {
+            params: doc.params || {},
+            ...Object.fromEntries(Object.entries(doc).filter(([k]) => k !== 'params' && k !== 'name')),
+        });
+        return { ...createSession(scenario), version: 1 };
+    },
+};
+
+function versionOf(doc) {
+    if (doc.format === SESSION_FORMAT) return doc.version;
+    if (doc.params && typeof doc.params === 'object') return 0;
+    throw new Error('Not a session file');
+}
+
+/**
+ * Parse a session file, migrating older versions to SESSION_VERSION.
+ * Throws on files that aren't sessions or come from a newer version.
+ */
+export function parseSession(text) {
+    let doc = JSON.parse(text);
+    if (!doc || typeof doc !== 'object') throw new Error('Not a session file');
+
+    let version = versionOf(doc);
+    if (!Number.isInteger(version)) throw new Error('Session file has no version');
+    if (version > SESSION_VERSION) throw new Error(`Session version ${version} is newer than this app (${SESSION_VERSION})`);
+    while (version < SESSION_VERSION) {
+        doc = MIGRATIONS[version](doc);
+        version = doc.version;
+    }
+
+    if (!Array.isArray(doc.scenarios) || doc.scenarios.length === 0) throw new Error('Session has no scenarios');
+    doc.scenarios = doc.scenarios.map((s, i) => ({
+        id: s.id ? String(s.id) : newScenarioId(),
+        name: s.name || `#${i + 1}`,
+        notes: s.notes || '',
+        state: s.state || { params: {} },
+        results: s.results || null,
+    }));
+    if (!doc.scenarios.some(s => s.id === doc.activeScenario)) doc.activeScenario = doc.scenarios[0].id;
+    doc.arsenal = Array.isArray(doc.arsenal)
+        ? doc.arsenal.filter(p => p && p.params).map((p, i) => ({ id: String(p.id ?? `p${i}`), name: p.name || `#${i + 1}`, params: p.params }))
+        : [];
+    return doc;
+}
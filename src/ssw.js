@@ -4,7 +4,8 @@ import { R, SEAM_POINTS, SSW_ROTATION_STEPS, SSW_BINS, SSW_SLICE_COUNT, DEG2RAD,
 /**
  * SSW computation.
  *
- * Detection: point-proximity (|p.z - zPlane| < epsilon).
+ * Detection: point-proximity (|p.z - zPlane| < epsilon), epsilon = 1.5 × the
+ * seam tube radius of the ball in use (seamRadius, see seammodels.js).
  *
  * Asymmetry rules (per user spec):
  *   1. Judgment line on SSW plane, through center, PERPENDICULAR to spin axis projection.
@@ -20,14 +21,14 @@ import { R, SEAM_POINTS, SSW_ROTATION_STEPS, SSW_BINS, SSW_SLICE_COUNT, DEG2RAD,
  * 5 planes (front→back): 直接分離起點 ≤ 誘發分離區 ≤ 誘發分離起點 ≤ 自然分離區 ≤ 誘發分離終點
  */
 export function computeSSW(seamPts, orientX, orientY, orientZ, spinDirection, gyroAngle,
-    alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg, fast = false) {
+    alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg, fast = false,
+    seamRadius = SEAM_TUBE_RADIUS) {
 
     // z-coordinates for all 5 planes
-    const zDirectSepStart = R * Math.sin(alphaFrontDeg * DEG2RAD);  // 直接分離起點
-    const zInducedZone = R * Math.sin(inducedZoneDeg * DEG2RAD); // 誘發分離區
-    const zInducedStart = R * Math.sin(inducedStartDeg * DEG2RAD);// 誘發分離起點
-    const zNaturalZone = R * Math.sin(naturalZoneDeg * DEG2RAD); // 自然分離區
-    const zInducedEnd = R * Math.sin(alphaBackDeg * DEG2RAD);   // 誘發分離終點
+    const planes = sswPlaneZ(alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg);
+    const zDirectSepStart = planes.directSepStart;
+    const zNaturalZone = planes.naturalZone;
+    const zInducedEnd = planes.inducedEnd;
 
     // ── Generate 50 slices evenly distributed in the SSW judgment zone ──
     const zMin = Math.min(zDirectSepStart, zInducedEnd);
@@ -51,7 +52,7 @@ export function computeSSW(seamPts, orientX, orientY, orientZ, spinDirection, gy
     // Per-slice SSW contribution histogram
     const contribData = new Float32Array(numSlices * SSW_BINS);
     const present = new Uint8Array(numSlices * SSW_BINS);
-    const epsilon = SEAM_TUBE_RADIUS * 1.5;
+    const epsilon = seamRadius * 1.5;
 
     const p = new THREE.Vector3();
     const localAxis = new THREE.Vector3(1, 0, 0);
@@ -64,6 +65,27 @@ export function computeSSW(seamPts, orientX, orientY, orientZ, spinDirection, gy
     let effectSumA = 0, effectSumB = 0;
 
     const steps = fast ? 36 : SSW_ROTATION_STEPS;
+
+    // ── Per-step (rotation phase) accumulators ─────────
+    // stepContrib is the contribution histogram of one step, summed over slices;
+    // it gives the instantaneous force direction the same way combinedContrib
+    // gives the averaged one below.
+    const phaseSumA = new Float32Array(steps);
+    const phaseSumB = new Float32Array(steps);
+    const phaseEffect = new Float32Array(steps);
+    const phaseArrowAngle = new Float32Array(steps);
+    const stepContrib = new Float32Array(SSW_BINS);
+    // Per seam point share of effectSumA / effectSumB (attribution)
+    const pointSumA = new Float32Array(SEAM_POINTS);
+    const pointSumB = new Float32Array(SEAM_POINTS);
+    const binCos = new Float32Array(SSW_BINS);
+    const binSin = new Float32Array(SSW_BINS);
+    const mirrorBin = new Uint16Array(SSW_BINS);
+    for (let i = 0; i < SSW_BINS; i++) {
+        binCos[i] = Math.cos((i / SSW_BINS) * TWO_PI);
+        binSin[i] = Math.sin((i / SSW_BINS) * TWO_PI);
+        mirrorBin[i] = ((2 * L_bin - i) % SSW_BINS + SSW_BINS) % SSW_BINS;
+    }
     for (let step = 0; step < steps; step++) {
         const angle = (step / steps) * Math.PI * 2;
         const spinQuat = new THREE.Quaternion().setFromAxisAngle(localAxis, angle);
@@ -71,6 +93,8 @@ export function computeSSW(seamPts, orientX, orientY, orientZ, spinDirection, gy
         const fullQuat = spinAxisQuat.clone().multiply(mid);
 
         present.fill(0);
+        stepContrib.fill(0);
+        let stepA = 0, stepB = 0;
 
         for (let i = 0; i < SEAM_POINTS; i++) {
             const i3 = i * 3;
@@ -86,71 +110,73 @@ export function computeSSW(seamPts, orientX, orientY, orientZ, spinDirection, gy
                     present[idx] = 1;
 
                     // Compute SSW contribution at this z-position (order-independent)
-                    const pzS = zPlanes[s];
-                    let sliceContrib = 0;
-                    // Zone check: pzS between zDirectSepStart and zInducedEnd
-                    const jMin = Math.min(zDirectSepStart, zInducedEnd);
-                    const jMax = Math.max(zDirectSepStart, zInducedEnd);
-                    if (pzS > jMin && pzS < jMax) {
-                        // Sub-zone: between directSepStart and inducedStart?
-                        const dMin = Math.min(zDirectSepStart, zInducedStart);
-                        const dMax = Math.max(zDirectSepStart, zInducedStart);
-                        if (pzS >= dMin && pzS <= dMax) {
-                            sliceContrib = Math.abs(pzS - zInducedEnd);
-                        } else {
-                            sliceContrib = Math.abs(zInducedZone - zInducedEnd);
-                        }
-                    }
+                    const sliceContrib = zoneContribution(zPlanes[s], planes);
                     if (sliceContrib > 0) {
                         contribData[idx] += sliceContrib;
+                        stepContrib[bin] += sliceContrib;
                     }
                 }
             }
 
             // ── SSW Effect Index contribution (order-independent) ──
-            const pz = p.z;
-            const judgeMin = Math.min(zDirectSepStart, zInducedEnd);
-            const judgeMax = Math.max(zDirectSepStart, zInducedEnd);
-            if (pz > judgeMin && pz < judgeMax) {
-                let contribution = 0;
-
-                const dirMin = Math.min(zDirectSepStart, zInducedStart);
-                const dirMax = Math.max(zDirectSepStart, zInducedStart);
-                if (pz >= dirMin && pz <= dirMax) {
-                    // Direct separation zone
-                    contribution = Math.abs(pz - zInducedEnd);
-                } else {
-                    // Induced separation judgment zone
-                    contribution = Math.abs(zInducedZone - zInducedEnd);
-                }
-
+            const contribution = zoneContribution(p.z, planes);
+            if (contribution > 0) {
                 // Determine which half-sphere this point belongs to
                 let ang = Math.atan2(p.y, p.x);
                 if (ang < 0) ang += TWO_PI;
                 const side = Math.sin(ang - judgmentAngle);
 
-                const weightedContrib = contribution / steps;
-                if (side >= 0) effectSumA += weightedContrib;
-                else effectSumB += weightedContrib;
+                if (side >= 0) {
+                    stepA += contribution;
+                    pointSumA[i] += contribution;
+                } else {
+                    stepB += contribution;
+                    pointSumB[i] += contribution;
+                }
             }
         }
 
+        effectSumA += stepA / steps;
+        effectSumB += stepB / steps;
+        phaseSumA[step] = stepA;
+        phaseSumB[step] = stepB;
+        phaseEffect[step] = Math.abs(stepA - stepB);
+
+        let swx = 0, swy = 0;
+        for (let i = 0; i < SSW_BINS; i++) {
+            const diff = stepContrib[i] - stepContrib[mirrorBin[i]];
+            swx += diff * binCos[i];
+            swy += diff * binSin[i];
+        }
+        if (swx === 0 && swy === 0) {
+            phaseArrowAngle[step] = NaN; // no contribution this step
+        } else {
+            let a = Math.atan2(-swy, -swx);
+            if (a < 0) a += TWO_PI;
+            phaseArrowAngle[step] = a;
+        }
+
         for (let k = 0; k < numSlices * SSW_BINS; k++) {
             histData[k] += present[k];
         }
     }
 
+    for (let i = 0; i < SEAM_POINTS; i++) {
+        pointSumA[i] /= steps;
+        pointSumB[i] /= steps;
+    }
+
     // SSW Effect Index = |halfA - halfB|
     const sswEffectIndex = Math.abs(effectSumA - effectSumB);
 
     // Normalize presence histogram to percentage [0,1]
     for (let k = 0; k < numSlices * SSW_BINS; k++) {
-        histData[k] /= SSW_ROTATION_STEPS;
+        histData[k] /= steps;
     }
 
     // Normalize contribution histogram by rotation steps
     for (let k = 0; k < numSlices * SSW_BINS; k++) {
-        contribData[k] /= SSW_ROTATION_STEPS;
+        contribData[k] /= steps;
     }
 
     // Per-slice histograms
@@ -220,9 +246,51 @@ export function computeSSW(seamPts, orientX, orientY, orientZ, spinDirection, gy
         numSlices, zPlanes,
         sswEffectIndex, maxContribution,
         effectSumA, effectSumB, // Return hemisphere sums
+        // What each seam point (index into seamPts) adds to effectSumA / effectSumB
+        // over the revolution; each array sums to the matching effect sum.
+        attribution: { sumA: pointSumA, sumB: pointSumB },
+        // Instantaneous values per rotation step; step k is at ball angle
+        // 2πk / steps (the animationAngle of updateBallOrientation, mod 2π).
+        // sumA / sumB average to effectSumA / effectSumB over a revolution.
+        phase: {
+            steps,
+            sumA: phaseSumA, sumB: phaseSumB,
+            effect: phaseEffect, arrowAngle: phaseArrowAngle,
+        },
     };
 }
 
+/** z-coordinates of the 5 SSW planes, from their angles (deg). */
+export function sswPlaneZ(alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg) {
+    return {
+        directSepStart: R * Math.sin(alphaFrontDeg * DEG2RAD), // 直接分離起點
+        inducedZone: R * Math.sin(inducedZoneDeg * DEG2RAD),   // 誘發分離區
+        inducedStart: R * Math.sin(inducedStartDeg * DEG2RAD), // 誘發分離起點
+        naturalZone: R * Math.sin(naturalZoneDeg * DEG2RAD),   // 自然分離區
+        inducedEnd: R * Math.sin(alphaBackDeg * DEG2RAD),      // 誘發分離終點
+    };
+}
+
+export const SSW_ZONE_NONE = 0;
+export const SSW_ZONE_DIRECT = 1;  // between 直接分離起點 and 誘發分離起點
+export const SSW_ZONE_INDUCED = 2; // rest of the judgment zone, up to 誘發分離終點
+
+/** Separation zone of a point at height z (planes from sswPlaneZ). */
+export function sswZoneAt(z, planes) {
+    const { directSepStart, inducedStart, inducedEnd } = planes;
+    if (z <= Math.min(directSepStart, inducedEnd) || z >= Math.max(directSepStart, inducedEnd)) return SSW_ZONE_NONE;
+    if (z >= Math.min(directSepStart, inducedStart) && z <= Math.max(directSepStart, inducedStart)) return SSW_ZONE_DIRECT;
+    return SSW_ZONE_INDUCED;
+}
+
+/** SSW contribution of a seam point at height z: 0 outside the judgment zone. */
+function zoneContribution(z, planes) {
+    const zone = sswZoneAt(z, planes);
+    if (zone === SSW_ZONE_DIRECT) return Math.abs(z - planes.inducedEnd);
+    if (zone === SSW_ZONE_INDUCED) return Math.abs(planes.inducedZone - planes.inducedEnd);
+    return 0;
+}
+
 /** Convert math angle (rad, 0=+X CCW) to clock string. */
 export function angleToClockString(angle) {
     let deg = (180 - angle * (180 / Math.PI));
@@ -232,3 +300,13 @@ export function angleToClockString(angle) {
     const m = Math.floor(totalMin % 60).toString().padStart(2, '0');
     return `${h}:${m}`;
 }
+
+/** Inverse of angleToClockString: parse "h:mm" into a math angle (rad, 0=+X CCW). */
+export function clockStringToAngle(str) {
+    const m = /^\s*(\d{1,2}):(\d{1,2})\s*$/.exec(String(str));
+    if (!m) return NaN;
+    const deg = (parseInt(m[1], 10) % 12) * 30 + parseInt(m[2], 10) * 0.5;
+    let angle = 180 - deg;
+    angle = ((angle % 360) + 360) % 360;
+    return angle * (Math.PI / 180);
+}
@@ -0,0 +1,128 @@
+import { computeSSW } from './ssw.js';
+import { DEG2RAD } from './constants.js';
+
+/**
+ * Parameter sweeps for the SSW curve charts.
+ *
+ * Sweep values are in slider units (deg). `i18n` is the label key used for the
+ * chart x-axis; min/max/step are the defaults offered when the parameter is picked.
+ */
+export const SWEEP_PARAMS = {
+    gyroAngle: { i18n: 'gyroAngle', min: -90, max: 90, step: 5 },
+    spinDirection: { i18n: 'spinDirection', min: 0, max: 360, step: 10 },
+    orientX: { i18n: 'orientX', min: -180, max: 180, step: 10 },
+    orientY: { i18n: 'orientY', min: -180, max: 180, step: 10 },
+    orientZ: { i18n: 'orientZ', min: -180, max: 180, step: 10 },
+    alphaFrontDeg: { i18n: 'directSepStart', min: -90, max: 90, step: 5 },
+    inducedZoneDeg: { i18n: 'inducedSepZone', min: -90, max: 90, step: 5 },
+    inducedStartDeg: { i18n: 'inducedSepStart', min: -90, max: 90, step: 5 },
+    naturalZoneDeg: { i18n: 'naturalSepZone', min: -90, max: 90, step: 5 },
+    alphaBackDeg: { i18n: 'inducedSepEnd', min: -90, max: 90, step: 5 },
+};
+
+export const DEFAULT_SWEEP = { param: 'gyroAngle', min: -90, max: 90, step: 5 };
+
+/** Cap on curve points so a tiny step can't stall the curve worker. */
+const MAX_SWEEP_POINTS = 361;
+
+const ANGLE_PARAMS = ['orientX', 'orientY', 'orientZ', 'gyroAngle'];
+
+// SSW planes front → back; each stays between its neighbours, as the sliders enforce
+const PLANE_ORDER = ['alphaFrontDeg', 'inducedZoneDeg', 'inducedStartDeg', 'naturalZoneDeg', 'alphaBackDeg'];
+
+/** Clamp a plane value between the neighbouring planes in params. */
+function clampPlane(params, plane, value) {
+    const front = plane > 0 ? params[PLANE_ORDER[plane - 1]] : -Infinity;
+    const back = plane < PLANE_ORDER.length - 1 ? params[PLANE_ORDER[plane + 1]] : Infinity;
+    return Math.min(Math.max(value, front), back);
+}
+
+/**
+ * Return a copy of computeSSW params with `param` set from a slider-unit value.
+ * Plane values are clamped to their neighbours like the slider handler does,
+ * so a sweep only reaches plane layouts the controls can produce.
+ */
+export function applySweepValue(params, param, value) {
+    const out = { ...params };
+    const plane = PLANE_ORDER.indexOf(param);
+    if (param === 'spinDirection') out.spinDirection = value * DEG2RAD + Math.PI; // same +180° as UIControls
+    else if (ANGLE_PARAMS.includes(param)) out[param] = value * DEG2RAD;
+    else if (plane >= 0) out[param] = clampPlane(params, plane, value);
+    else out[param] = value;
+    return out;
+}
+
+/** Inverse of applySweepValue: read `param` from computeSSW params in slider units. */
+export function sweepValueFromParams(params, param) {
+    if (param === 'spinDirection') {
+        const deg = (params.spinDirection - Math.PI) / DEG2RAD;
+        return ((deg % 360) + 360) % 360;
+    }
+    if (ANGLE_PARAMS.includes(param)) return params[param] / DEG2RAD;
+    return params[param];
+}
+
+/** Sanitize a sweep request: known parameter, min < max, bounded point count. */
+export function normalizeSweep(sweep = DEFAULT_SWEEP) {
+    const param = SWEEP_PARAMS[sweep.param] ? sweep.param : DEFAULT_SWEEP.param;
+    let min = Number.isFinite(sweep.min) ? sweep.min : SWEEP_PARAMS[param].min;
+    let max = Number.isFinite(sweep.max) ? sweep.max : SWEEP_PARAMS[param].max;
+    if (min > max) [min, max] = [max, min];
+    if (min === max) max = min + 1;
+    let step = Number.isFinite(sweep.step) && sweep.step > 0 ? sweep.step : SWEEP_PARAMS[param].step;
+    step = Math.max(step, (max - min) / (MAX_SWEEP_POINTS - 1));
+    return { param, min, max, step };
+}
+
+/** Sample points of a (normalized) sweep, min → max inclusive. */
+export function sweepValues(sweep) {
+    const { min, max, step } = sweep;
+    const n = Math.floor((max - min) / step + 1e-9);
+    const xs = [];
+    for (let i = 0; i <= n; i++) xs.push(min + i * step);
+    return xs;
+}
+
+function computeFast(seamPts, p) {
+    return computeSSW(
+        seamPts,
+        p.orientX, p.orientY, p.orientZ,
+        p.spinDirection, p.gyroAngle,
+        p.alphaFrontDeg, p.inducedZoneDeg, p.inducedStartDeg, p.naturalZoneDeg, p.alphaBackDeg,
+        true, // fast mode
+        p.seamRadius
+    );
+}
+
+/**
+ * Compute the curve for a sweep (fast mode).
+ * @returns {{x:number, sswEffectIndex:number, effectSumA:number, effectSumB:number}[]}
+ */
+export function computeSweep(seamPts, params, sweep) {
+    const norm = normalizeSweep(sweep);
+    return sweepValues(norm).map((x) => {
+        const res = computeFast(seamPts, applySweepValue(params, norm.param, x));
+        return {
+            x,
+            sswEffectIndex: res.sswEffectIndex,
+            effectSumA: res.effectSumA,
+            effectSumB: res.effectSumB,
+        };
+    });
+}
+
+/**
+ * One row of a 2D atlas: `yParam` fixed at `yValue`, `xSweep` swept.
+ * @returns {{values:number[], arrows:number[]}} sswEffectIndex and arrowAngle per cell
+ */
+export function computeAtlasRow(seamPts, params, xSweep, yParam, yValue) {
+    const base = applySweepValue(params, yParam, yValue);
+    const values = [];
+    const arrows = [];
+    for (const x of sweepValues(xSweep)) {
+        const res = computeFast(seamPts, applySweepValue(base, xSweep.param, x));
+        values.push(res.sswEffectIndex);
+        arrows.push(res.arrowAngle);
+    }
+    return { values, arrows };
+}
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { eulerDegToQuat, quatToEulerDeg } from './orientation.js';
+import { RAD2DEG } from './constants.js';
+
+/**
+ * Seam symmetry — orientation triples that put the seam in the same place.
+ *
+ * The seam curve of computeSeamPoints,
+ *   p(t) = (a·cos t − b·cos 3t, a·sin t + b·sin 3t, c·cos 2t),
+ * maps onto itself under two rotations of the ball frame:
+ *   t → t + π       (x, y, z) → (−x, −y, z)    180° about Z
+ *   t → π/2 − t     (x, y, z) → (y, x, −z)     180° about (1, 1, 0)
+ * which with their product (180° about (1, −1, 0)) and the identity form the
+ * group D2. An orientation q (ball frame → parent) therefore looks the same as
+ * q·s for every s in the group; the canonical representative is the one with
+ * the smallest rotation from the slider origin.
+ *
+ * Orientations use the slider shape { orientX, orientY, orientZ } in degrees.
+ */
+
+const S = Math.SQRT1_2;
+export const SEAM_SYMMETRIES = [
+    new THREE.Quaternion(0, 0, 0, 1),
+    new THREE.Quaternion(0, 0, 1, 0),
+    new THREE.Quaternion(S, S, 0, 0),
+    new THREE.Quaternion(S, -S, 0, 0),
+];
+
+const round = (v) => Math.round(v * 10) / 10 || 0; // 0.1°, no -0
+
+function toQuat({ orientX, orientY, orientZ }) {
+    return eulerDegToQuat(orientX, orientY, orientZ);
+}
+
+function fromQuat(q) {
+    const { x, y, z } = quatToEulerDeg(q);
+    return { orientX: round(x), orientY: round(y), orientZ: round(z) };
+}
+
+/** All orientations showing the same seam, the input's own rotation first. */
+export function equivalentOrientations(orient) {
+    const q = toQuat(orient);
+    return SEAM_SYMMETRIES.map(s => fromQuat(q.clone().multiply(s)));
+}
+
+/** Canonical representative: the equivalent orientation with the smallest rotation angle. */
+export function canonicalOrientation(orient) {
+    const q = toQuat(orient);
+    let best = null;
+    let bestW = -1;
+    for (const s of SEAM_SYMMETRIES) {
+        const c = q.clone().multiply(s);
+        // Ties (equal angles) keep the earlier symmetry so the result is stable
+        if (Math.abs(c.w) > bestW + 1e-9) {
+            best = c;
+            bestW = Math.abs(c.w);
+        }
+    }
+    return fromQuat(best);
+}
+
+/**
+ * Smallest rotation (deg) between two orientations, modulo the seam symmetry.
+ * With `ignoreSpinPhase`, rotations about the spin axis (the parent's local X,
+ * see updateBallOrientation) are free as well: they only shift the phase of
+ * the spin, so results over a full revolution are the same.
+ */
+export function orientationDistance(a, b, { ignoreSpinPhase = false } = {}) {
+    const qa = toQuat(a).invert();
+    const qb = toQuat(b);
+    let best = Infinity;
+    for (const s of SEAM_SYMMETRIES) {
+        // Relative rotation in the parent frame: r·a = b·s
+        const r = qb.clone().multiply(s).multiply(qa);
+        const cos = ignoreSpinPhase ? Math.hypot(r.w, r.x) : Math.abs(r.w);
+        best = Math.min(best, 2 * Math.acos(Math.min(1, cos)) * RAD2DEG);
+    }
+    return best;
+}
+
+export function sameOrientation(a, b, toleranceDeg = 1, options) {
+    return orientationDistance(a, b, options) <= toleranceDeg;
+}
@@ -0,0 +1,24 @@
+/**
+ * Render the scene from `camera` into the bottom-left corner of the WebGL
+ * canvas and copy it out as a PNG data URL. Must run in the same task as
+ * the render (the drawing buffer isn't preserved); the next animation frame
+ * repaints the corner. The caller sets up object visibility beforehand.
+ */
+export function renderThumbnail(renderer, scene, camera, size) {
+    const dpr = renderer.getPixelRatio();
+    const gl = renderer.domElement;
+
+    renderer.setScissorTest(true);
+    renderer.setViewport(0, 0, size, size);
+    renderer.setScissor(0, 0, size, size);
+    renderer.render(scene, camera);
+    renderer.setScissorTest(false);
+
+    const out = document.createElement('canvas');
+    out.width = size;
+    out.height = size;
+    // GL origin is bottom-left, canvas origin top-left
+    const src = Math.round(size * dpr);
+    out.getContext('2d').drawImage(gl, 0, gl.height - src, src, src, 0, 0, size, size);
+    return out.toDataURL('image/png');
+}
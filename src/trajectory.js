@@ -0,0 +1,259 @@
+import * as THREE from 'three';
+import { R } from './constants.js';
+import { spinAxisVector } from './baseball.js';
+import { angleToClockString } from './ssw.js';
+
+/**
+ * Pitch flight model: gravity + drag + Magnus lift + SSW force, RK4 integration.
+ *
+ * Frame is the app's world frame: +X = pitcher's right (seen from behind the
+ * pitcher), +Y = up, the ball travels toward -Z. Internally SI units.
+ *
+ *   Magnus: C_L = 1 / (2.32 + 0.4 / S), S = r·|ω⊥| / |v|   (Sawicki/Nathan fit)
+ *           direction ω × v
+ *   Drag:   constant C_D
+ *   SSW:    C_SSW = SSW_LIFT_PER_INDEX · sswEffectIndex, along the dashboard
+ *           arrow (cos(arrowAngle), sin(arrowAngle), 0). This scale is a rough
+ *           calibration, not a measured value — index ≈ 40 gives C_SSW ≈ 0.1.
+ *
+ * Induced break = position at the plate minus a reference flight with the same
+ * release but no spin forces (gravity + drag only).
+ */
+
+const FT = 0.3048;
+const INCH = 0.0254;
+
+export const FLIGHT = {
+    mass: 0.145,            // kg
+    radius: 0.0366,         // m (9.2" circumference)
+    airDensity: 1.225,      // kg/m³
+    dragCoefficient: 0.35,
+    gravity: 9.80665,       // m/s²
+    releaseHeightFt: 6.0,
+    extensionFt: 6.0,
+    moundToPlateFt: 60.5,
+    plateFrontFt: 17 / 12,  // front edge of home plate
+    targetHeightFt: 2.5,    // aim point of the reference (spinless) pitch
+    dt: 0.001,              // s
+};
+
+export const SSW_LIFT_PER_INDEX = 0.0025;
+
+/** Magnus lift coefficient for spin factor S = r·ω⊥ / v. */
+function liftCoefficient(s) {
+    return s > 1e-6 ? 1 / (2.32 + 0.4 / s) : 0;
+}
+
+function integrate(v0, accel, distance) {
+    const { dt } = FLIGHT;
+    const pos = new THREE.Vector3(0, FLIGHT.releaseHeightFt * FT, 0);
+    const vel = v0.clone();
+    const path = [{ x: pos.x, y: pos.y, z: pos.z, t: 0 }];
+
+    let t = 0;
+    while (-pos.z < distance && t < 2) {
+        // RK4 on (pos, vel); forces depend on velocity only
+        const a1 = accel(vel);
+        const v2 = vel.clone().addScaledVector(a1, dt / 2);
+        const a2 = accel(v2);
+        const v3 = vel.clone().addScaledVector(a2, dt / 2);
+        const a3 = accel(v3);
+        const v4 = vel.clone().addScaledVector(a3, dt);
+        const a4 = accel(v4);
+
+        const prevPos = pos.clone();
+        pos.addScaledVector(vel, dt / 6)
+            .addScaledVector(v2, dt / 3)
+            .addScaledVector(v3, dt / 3)
+            .addScaledVector(v4, dt / 6);
+        vel.addScaledVector(a1, dt / 6)
+            .addScaledVector(a2, dt / 3)
+            .addScaledVector(a3, dt / 3)
+            .addScaledVector(a4, dt / 6);
+        t += dt;
+
+        if (-pos.z >= distance) {
+            // Interpolate the exact plate crossing
+            const f = (distance + prevPos.z) / (prevPos.z - pos.z);
+            pos.lerpVectors(prevPos, pos, f);
+            t -= dt * (1 - f);
+        }
+        path.push({ x: pos.x, y: pos.y, z: pos.z, t });
+    }
+    return { path, end: pos, flightTime: t };
+}
+
+/**
+ * @param {object} opts
+ * @param {number} opts.velocityMph - release speed
+ * @param {number} opts.spinRate - rpm
+ * @param {number} opts.spinDirection - rad, as UIControls.spinDirection
+ * @param {number} opts.gyroAngle - rad
+ * @param {number} opts.sswEffectIndex
+ * @param {number} opts.arrowAngle - SSW force direction (rad)
+ * @param {{radius:number, mass:number}} [opts.ball] - ball size (m, kg); default the FLIGHT baseball
+ * @returns {{spinBased: object, sswAdjusted: object, reference: object}}
+ *   each flight: { path, plateX, plateY (ft), hb, ivb (in), flightTime (s) }
+ */
+export function simulatePitch({ velocityMph, spinRate, spinDirection, gyroAngle, sswEffectIndex, arrowAngle, ball = FLIGHT }) {
+    const { airDensity, dragCoefficient, gravity } = FLIGHT;
+    const { mass, radius } = ball;
+    const area = Math.PI * radius * radius;
+    const q = 0.5 * airDensity * area / mass; // accel = q · C · |v|²
+
+    const speed = velocityMph * 0.44704;
+    const distance = (FLIGHT.moundToPlateFt - FLIGHT.extensionFt - FLIGHT.plateFrontFt) * FT;
+    const omega = spinAxisVector(spinDirection, gyroAngle).multiplyScalar(spinRate / 60 * Math.PI * 2);
+    const sswDir = new THREE.Vector3(Math.cos(arrowAngle), Math.sin(arrowAngle), 0);
+    const cSSW = SSW_LIFT_PER_INDEX * sswEffectIndex;
+
+    // Aim so a spinless pitch reaches the target height (drop ≈ ½ g t²)
+    const tFlight = distance / speed;
+    const drop = 0.5 * gravity * tFlight * tFlight;
+    const rise = (FLIGHT.targetHeightFt - FLIGHT.releaseHeightFt) * FT + drop;
+    const v0 = new THREE.Vector3(0, rise, -distance).normalize().multiplyScalar(speed);
+
+    const makeAccel = (useMagnus, useSSW) => (v) => {
+        const vMag = v.length();
+        const a = new THREE.Vector3(0, -gravity, 0);
+        a.addScaledVector(v, -q * dragCoefficient * vMag);
+
+        if (useMagnus && spinRate > 0) {
+            const vHat = v.clone().divideScalar(vMag);
+            const omegaPerp = omega.clone().addScaledVector(vHat, -omega.dot(vHat));
+            const cl = liftCoefficient(radius * omegaPerp.length() / vMag);
+            if (cl > 0) {
+                const dir = new THREE.Vector3().crossVectors(omegaPerp, vHat).normalize();
+                a.addScaledVector(dir, q * cl * vMag * vMag);
+            }
+        }
+        if (useSSW && cSSW > 0) {
+            a.addScaledVector(sswDir, q * cSSW * vMag * vMag);
+        }
+        return a;
+    };
+
+    const reference = integrate(v0, makeAccel(false, false), distance);
+    const summarize = (flight) => ({
+        path: flight.path,
+        flightTime: flight.flightTime,
+        plateX: flight.end.x / FT,
+        plateY: flight.end.y / FT,
+        hb: (flight.end.x - reference.end.x) / INCH,
+        ivb: (flight.end.y - reference.end.y) / INCH,
+    });
+
+    return {
+        spinBased: summarize(integrate(v0, makeAccel(true, false), distance)),
+        sswAdjusted: summarize(integrate(v0, makeAccel(true, true), distance)),
+        reference: summarize(reference),
+    };
+}
+
+/**
+ * Spin-axis deviation: angle between the spin-based movement direction (Magnus,
+ * perpendicular to the spin axis) and the movement-inferred direction (Magnus +
+ * SSW force), evaluated at release speed in the plane facing the catcher.
+ * Clocks use the spin direction slider's convention (12:00 = pure backspin).
+ * @returns {{deviationDeg:number, spinBasedClock:string, inferredClock:string}|null}
+ *   null when there is no transverse spin to define a spin-based axis
+ */
+export function spinAxisDeviation({ velocityMph, spinRate, spinDirection, gyroAngle, sswEffectIndex, arrowAngle, ball = FLIGHT }) {
+    const speed = velocityMph * 0.44704;
+    const omega = spinAxisVector(spinDirection, gyroAngle).multiplyScalar(spinRate / 60 * Math.PI * 2);
+    // ω × v̂ with v̂ = -Z
+    const mx = -omega.y, my = omega.x;
+    const omegaPerp = Math.hypot(omega.x, omega.y);
+    const cl = liftCoefficient(ball.radius * omegaPerp / speed);
+    if (cl === 0) return null;
+
+    const magnusAngle = Math.atan2(my, mx);
+    const cSSW = SSW_LIFT_PER_INDEX * sswEffectIndex;
+    const fx = cl * Math.cos(magnusAngle) + cSSW * Math.cos(arrowAngle);
+    const fy = cl * Math.sin(magnusAngle) + cSSW * Math.sin(arrowAngle);
+    const inferredAngle = Math.atan2(fy, fx);
+
+    let deviation = (inferredAngle - magnusAngle) * 180 / Math.PI;
+    deviation = ((deviation + 180) % 360 + 360) % 360 - 180;
+    return {
+        deviationDeg: deviation,
+        // Movement angle m ↔ spin direction slider angle m + 90°
+        spinBasedClock: angleToClockString(magnusAngle + Math.PI / 2),
+        inferredClock: angleToClockString(inferredAngle + Math.PI / 2),
+    };
+}
+
+/* ── 3D view ─────────────────────────────────────────── */
+
+const PATH_LENGTH = 3.5 * R;   // scene units from ball to plate
+const BREAK_SCALE = 0.06 * R;  // scene units per inch of break (exaggerated)
+const PATH_SAMPLES = 120;
+
+/**
+ * Draws the induced-break path in front of the ball (toward -Z): spin-based
+ * (grey, dashed) and SSW-adjusted (orange). Depth is compressed and break is
+ * exaggerated so the whole flight fits next to the ball.
+ */
+export class TrajectoryPath {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        this.group.name = 'TrajectoryGroup';
+        scene.add(this.group);
+
+        this.spinLine = this._makeLine(new THREE.LineDashedMaterial({
+            color: 0x64748b, dashSize: 0.08, gapSize: 0.05, transparent: true, opacity: 0.8,
+        }));
+        this.sswLine = this._makeLine(new THREE.LineBasicMaterial({ color: 0xf97316 }));
+
+        const dotGeo = new THREE.SphereGeometry(0.05, 12, 12);
+        this.spinDot = new THREE.Mesh(dotGeo, new THREE.MeshBasicMaterial({ color: 0x64748b }));
+        this.sswDot = new THREE.Mesh(dotGeo, new THREE.MeshBasicMaterial({ color: 0xf97316 }));
+        this.group.add(this.spinDot, this.sswDot);
+    }
+
+    _makeLine(mat) {
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(PATH_SAMPLES * 3), 3));
+        const line = new THREE.Line(geo, mat);
+        this.group.add(line);
+        return line;
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    /** @param {ReturnType<typeof simulatePitch>} sim */
+    update(sim) {
+        this._fill(this.spinLine, this.spinDot, sim.spinBased.path, sim.reference.path);
+        this._fill(this.sswLine, this.sswDot, sim.sswAdjusted.path, sim.reference.path);
+    }
+
+    _fill(line, dot, path, refPath) {
+        const arr = line.geometry.getAttribute('position').array;
+        const total = -path[path.length - 1].z;
+        for (let i = 0; i < PATH_SAMPLES; i++) {
+            const src = Math.round(i / (PATH_SAMPLES - 1) * (path.length - 1));
+            const p = path[src];
+            // Same time index in the reference flight (both start together)
+            const r = refPath[Math.min(src, refPath.length - 1)];
+            arr[i * 3] = (p.x - r.x) / INCH * BREAK_SCALE;
+            arr[i * 3 + 1] = (p.y - r.y) / INCH * BREAK_SCALE;
+            arr[i * 3 + 2] = (p.z / total) * PATH_LENGTH;
+        }
+        line.geometry.getAttribute('position').needsUpdate = true;
+        line.geometry.computeBoundingSphere();
+        if (line.computeLineDistances) line.computeLineDistances();
+        dot.position.set(arr[(PATH_SAMPLES - 1) * 3], arr[(PATH_SAMPLES - 1) * 3 + 1], arr[(PATH_SAMPLES - 1) * 3 + 2]);
+    }
+}
+
+/**
+ * Signed angle (deg) from the spin-based break vector to the SSW-adjusted one,
+ * in the movement plot frame (HB right, IVB up; positive = counter-clockwise).
+ */
+export function movementDeviation(spinBased, sswAdjusted) {
+    const cross = spinBased.hb * sswAdjusted.ivb - spinBased.ivb * sswAdjusted.hb;
+    const dot = spinBased.hb * sswAdjusted.hb + spinBased.ivb * sswAdjusted.ivb;
+    return Math.atan2(cross, dot) * 180 / Math.PI;
+}
@@ -1,11 +1,49 @@
 import { DEG2RAD } from './constants.js';
-import { angleToClockString } from './ssw.js';
-import { toggleLang, setLang, t } from './i18n.js';
+import { angleToClockString, clockStringToAngle } from './ssw.js';
+import { toggleLang, setLang, getLang, t } from './i18n.js';
+import { SWEEP_PARAMS } from './sweep.js';
+import { spinEfficiencyToGyro, gyroToSpinEfficiency } from './batch.js';
+import { importPitches } from './importer.js';
+import {
+    BUILTIN_PRESETS, PRESET_FIELDS, createPreset, loadUserPresets, saveUserPresets,
+    exportPresets, importPresets, mergePresets, findEquivalentPreset,
+} from './presets.js';
+import { canonicalOrientation } from './symmetry.js';
+import { CUSTOM_SEAM_DEFAULTS } from './seammodels.js';
+import { downloadText } from './download.js';
+import { loopFrameCount } from './frames.js';
+import { seamArcRegion } from './attribution.js';
+import {
+    eulerDegToQuat, quatToEulerDeg, quatToAxisAngle, axisAngleToQuat, quatFromComponents,
+} from './orientation.js';
+
+// Slider element for each numeric control parameter (values in slider units)
+const PARAM_SLIDERS = {
+    spinRate: 'spin-rate', velocity: 'velocity',
+    orientX: 'orient-x', orientY: 'orient-y', orientZ: 'orient-z',
+    spinDirection: 'spin-direction', gyroAngle: 'gyro-angle',
+    alphaFrontDeg: 'ssw-alpha-front', inducedZoneDeg: 'ssw-induced-zone', inducedStartDeg: 'ssw-induced-start',
+    naturalZoneDeg: 'ssw-natural-zone', alphaBackDeg: 'ssw-alpha-back',
+};
+
+const ORIENT_KEYS = ['orientX', 'orientY', 'orientZ'];
+
+// Input element for each custom seam model value
+const SEAM_CUSTOM_INPUTS = {
+    pinch: 'seam-pinch', seamWidthMm: 'seam-width', seamHeightMm: 'seam-height',
+    circumferenceIn: 'ball-circumference', massG: 'ball-mass',
+};
 
 export class UIControls {
     constructor(onChange) {
         this.onChange = onChange;
         this.isPlaying = false;
+        // Ball orientation: the quaternion is the state, the Euler triple (deg,
+        // not rounded) its slider view; both always describe the same rotation
+        this._orientQuat = eulerDegToQuat(0, 0, 0);
+        this._orientDeg = { x: 0, y: 0, z: 0 };
+        this.seamArcs = [];
+        this.activeSeamArc = null;
         this._bindSliders();
         this._bindPlayPause();
         this._bindDragAxis();
@@ -14,15 +52,28 @@ export class UIControls {
         this._bindLang();
         this._bindViewButtons();
         this._bindHelp();
+        this._bindOptimizer();
+        this._bindSweep();
+        this._bindAtlas();
+        this._bindImport();
+        this._bindPresets();
+        this._bindSession();
+        this._bindCompare();
+        this._bindArsenal();
+        this._bindExport();
+        this._bindOrientationEntry();
+        this._bindGrip();
+        this._bindSeamModel();
         setLang('zh-TW'); // initialize
     }
 
-    get orientX() { return parseFloat(this._el('orient-x').value) * DEG2RAD; }
-    get orientY() { return parseFloat(this._el('orient-y').value) * DEG2RAD; }
-    get orientZ() { return parseFloat(this._el('orient-z').value) * DEG2RAD; }
+    get orientX() { return this._orientDeg.x * DEG2RAD; }
+    get orientY() { return this._orientDeg.y * DEG2RAD; }
+    get orientZ() { return this._orientDeg.z * DEG2RAD; }
     get spinDirection() { return parseFloat(this._el('spin-direction').value) * DEG2RAD + Math.PI; }
     get gyroAngle() { return parseFloat(this._el('gyro-angle').value) * DEG2RAD; }
     get spinRate() { return parseFloat(this._el('spin-rate').value); }
+    get velocity() { return parseFloat(this._el('velocity').value); }
     get alphaFrontDeg() { return parseFloat(this._el('ssw-alpha-front').value); }
     get inducedZoneDeg() { return parseFloat(this._el('ssw-induced-zone').value); }
     get inducedStartDeg() { return parseFloat(this._el('ssw-induced-start').value); }
@@ -34,17 +85,353 @@ export class UIControls {
     }
     get dragAxis() {
         const checked = document.querySelector('input[name="drag-axis"]:checked');
-        return checked ? checked.value : 'x';
+        return checked ? checked.value : 'free';
     }
     get visibleSeam() { return this._el('check-visible-seam').checked; }
     get visibleContrib() { return this._el('check-visible-contrib').checked; }
+    get visibleTrajectory() { return this._el('check-visible-trajectory').checked; }
+    get batterView() { return this._el('check-batter-view').checked; }
+    get seamColor() {
+        const checked = document.querySelector('input[name="seam-color"]:checked');
+        return checked ? checked.value : 'plain';
+    }
+    get compareMode() {
+        const checked = document.querySelector('input[name="compare-mode"]:checked');
+        return checked ? checked.value : 'off';
+    }
+    get optimizeObjective() {
+        const checked = document.querySelector('input[name="optimize-objective"]:checked');
+        return checked ? checked.value : 'max';
+    }
+    /** Curve sweep settings in slider units: { param, min, max, step }. */
+    get sweep() {
+        return {
+            param: this._el('sweep-param').value,
+            min: parseFloat(this._el('sweep-min').value),
+            max: parseFloat(this._el('sweep-max').value),
+            step: parseFloat(this._el('sweep-step').value),
+        };
+    }
+    /** Atlas grid settings: two sweeps over each parameter's default range. */
+    get atlas() {
+        const step = Math.max(1, parseFloat(this._el('atlas-step').value) || 10);
+        const axis = (param) => ({ param, min: SWEEP_PARAMS[param].min, max: SWEEP_PARAMS[param].max, step });
+        return { xSweep: axis(this._el('atlas-x').value), ySweep: axis(this._el('atlas-y').value) };
+    }
+    /** Target force direction as a math angle (same frame as computeSSW arrowAngle). */
+    get optimizeTargetAngle() { return clockStringToAngle(this._el('val-optimize-clock').value); }
+    /** Finger placed by the next click on the ball, or null when placement is off. */
+    get gripFinger() {
+        const checked = document.querySelector('input[name="grip-finger"]:checked');
+        return checked && checked.value !== 'off' ? checked.value : null;
+    }
+    get releaseClock() { return this._el('val-release-clock').value; }
+    get seamModel() { return this._el('seam-model').value; }
+    /** Custom seam model values (see customSeamModel); blank or invalid fields fall back to the defaults. */
+    get seamCustom() {
+        const out = {};
+        for (const [key, id] of Object.entries(SEAM_CUSTOM_INPUTS)) {
+            const v = parseFloat(this._el(id).value);
+            out[key] = Number.isFinite(v) ? v : CUSTOM_SEAM_DEFAULTS[key];
+        }
+        return out;
+    }
+    setReleaseClock(clock) { this._el('val-release-clock').value = clock; }
+
+    setOrientX(deg) { this.setOrientationEuler({ ...this._orientDeg, x: deg }); }
+    setOrientY(deg) { this.setOrientationEuler({ ...this._orientDeg, y: deg }); }
+    setOrientZ(deg) { this.setOrientationEuler({ ...this._orientDeg, z: deg }); }
+    /** Set the orientation from Euler degrees { x, y, z } (no change event; callers notify). */
+    setOrientationEuler({ x, y, z }) {
+        this._orientDeg = { x, y, z };
+        this._orientQuat = eulerDegToQuat(x, y, z);
+        this._showOrientation();
+    }
+    /** The ball orientation (a copy). */
+    get orientationQuat() { return this._orientQuat.clone(); }
+    /** Set the orientation from a quaternion, kept exactly (no change event; callers notify). */
+    setOrientationQuat(q) {
+        this._orientQuat = q.clone().normalize();
+        this._orientDeg = quatToEulerDeg(this._orientQuat);
+        this._showOrientation();
+    }
+    /** Take the orientation from the sliders after the user moved one. */
+    _orientFromSliders() {
+        const deg = (axis) => parseFloat(this._el(`orient-${axis}`).value);
+        this._orientDeg = { x: deg('x'), y: deg('y'), z: deg('z') };
+        this._orientQuat = eulerDegToQuat(this._orientDeg.x, this._orientDeg.y, this._orientDeg.z);
+    }
+    /** Write the orientation into the sliders (unsnapped, step="any") and number inputs. */
+    _showOrientation() {
+        for (const axis of ['x', 'y', 'z']) {
+            const deg = this._orientDeg[axis];
+            this._el(`orient-${axis}`).value = deg;
+            this._el(`val-orient-${axis}`).value = Math.round(deg * 10) / 10;
+        }
+        this._syncOrientationEntry();
+    }
+    /**
+     * Set any swept parameter by its slider value. Goes through the slider's own
+     * change handler so labels, gyro↔efficiency sync and plane ordering still apply.
+     */
+    setParam(param, value) {
+        const el = this._el(PARAM_SLIDERS[param]);
+        el.value = value;
+        el.dispatchEvent(new Event('change'));
+    }
+    /**
+     * Set several parameters at once. All sliders are assigned before any change
+     * handler runs, so the SSW plane ordering is checked against the new values
+     * rather than the old neighbours.
+     */
+    setParams(values) {
+        const keys = Object.keys(values).filter(k => PARAM_SLIDERS[k]);
+        for (const key of keys) this._el(PARAM_SLIDERS[key]).value = values[key];
+        for (const key of keys) this._el(PARAM_SLIDERS[key]).dispatchEvent(new Event('change'));
+    }
+    /** Full control state in slider units (URL hash, session files). */
+    getState() {
+        const params = {};
+        for (const [key, id] of Object.entries(PARAM_SLIDERS)) params[key] = parseFloat(this._el(id).value);
+        Object.assign(params, { orientX: this._orientDeg.x, orientY: this._orientDeg.y, orientZ: this._orientDeg.z });
+        const q = this._orientQuat;
+        return {
+            params,
+            orientation: [q.w, q.x, q.y, q.z],
+            displayMode: this.displayMode,
+            dragAxis: this.dragAxis,
+            visibleSeam: this.visibleSeam,
+            visibleContrib: this.visibleContrib,
+            visibleTrajectory: this.visibleTrajectory,
+            seamColor: this.seamColor,
+            batterView: this.batterView,
+            seamModel: this.seamModel,
+            seamCustom: this.seamCustom,
+            lang: getLang(),
+        };
+    }
+    /**
+     * Restore a (possibly partial) getState() object. An `orientation`
+     * quaternion wins over the orientX/Y/Z params, which older states only have.
+     */
+    setState(state) {
+        const q = state.orientation && quatFromComponents(...state.orientation);
+        if (state.params) {
+            const params = { ...state.params };
+            if (q) for (const key of ORIENT_KEYS) delete params[key];
+            this.setParams(params);
+        }
+        if (q) {
+            this.setOrientationQuat(q);
+            this.onChange({ key: 'orientation', value: q });
+        }
+        const radios = [['display-mode', state.displayMode], ['drag-axis', state.dragAxis], ['seam-color', state.seamColor]];
+        for (const [name, value] of radios) {
+            const radio = value && document.querySelector(`input[name="${name}"][value="${value}"]`);
+            if (radio && !radio.checked) {
+                radio.checked = true;
+                radio.dispatchEvent(new Event('change'));
+            }
+        }
+        const checks = {
+            'check-visible-seam': state.visibleSeam,
+            'check-visible-contrib': state.visibleContrib,
+            'check-visible-trajectory': state.visibleTrajectory,
+            'check-batter-view': state.batterView,
+        };
+        for (const [id, checked] of Object.entries(checks)) {
+            const el = this._el(id);
+            if (checked !== undefined && el.checked !== checked) {
+                el.checked = checked;
+                el.dispatchEvent(new Event('change'));
+            }
+        }
+        this._setSeamModel(state.seamModel, state.seamCustom);
+        if (state.lang && state.lang !== getLang()) {
+            setLang(state.lang);
+            this._onLangChanged();
+        }
+    }
+    /** Fill the scenario switcher and the active scenario's name / notes. */
+    setScenarios(scenarios, activeId) {
+        const select = this._el('scenario-select');
+        select.innerHTML = '';
+        for (const s of scenarios) {
+            const opt = document.createElement('option');
+            opt.value = s.id;
+            opt.textContent = s.name;
+            select.appendChild(opt);
+        }
+        select.value = activeId;
+        const active = scenarios.find(s => s.id === activeId);
+        this._el('scenario-name').value = active ? active.name : '';
+        this._el('scenario-notes').value = active ? active.notes : '';
+        this._el('btn-scenario-delete').disabled = scenarios.length < 2;
+    }
+    /**
+     * Render the arsenal table.
+     * @param {{id:string, name:string, color:string, thumbnail:string|null,
+     *          result:{sswEffectIndex:number, forceClock:string, ivb:number, hb:number}|null}[]} rows
+     */
+    setArsenal(rows, activeId) {
+        const body = this._el('arsenal-table').querySelector('tbody');
+        body.innerHTML = '';
+        if (rows.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 6;
+            td.className = 'arsenal-empty';
+            td.textContent = t('arsenalEmpty');
+            tr.appendChild(td);
+            body.appendChild(tr);
+            return;
+        }
+        for (const row of rows) {
+            const tr = document.createElement('tr');
+            tr.classList.toggle('active', row.id === activeId);
+
+            const thumbTd = document.createElement('td');
+            if (row.thumbnail) {
+                const img = document.createElement('img');
+                img.className = 'arsenal-thumb';
+                img.src = row.thumbnail;
+                img.style.borderColor = row.color;
+                thumbTd.appendChild(img);
+            }
+            const cells = [
+                row.name,
+                row.result ? row.result.sswEffectIndex.toFixed(2) : '…',
+                row.result ? row.result.forceClock : '…',
+                row.result ? `${row.result.ivb.toFixed(1)} / ${row.result.hb.toFixed(1)}` : '…',
+            ].map((text) => {
+                const td = document.createElement('td');
+                td.textContent = text; // pitch names are free text
+                return td;
+            });
+            cells[0].style.color = row.color;
+            cells[0].style.fontWeight = '600';
+
+            const delTd = document.createElement('td');
+            const del = document.createElement('span');
+            del.className = 'candidate-delete';
+            del.textContent = '×';
+            del.title = t('deletePreset');
+            del.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.onChange({ key: 'arsenalDelete', value: row.id });
+            });
+            delTd.appendChild(del);
 
-    setOrientX(deg) { this._el('orient-x').value = deg; this._el('val-orient-x').value = Math.round(deg); }
-    setOrientY(deg) { this._el('orient-y').value = deg; this._el('val-orient-y').value = Math.round(deg); }
-    setOrientZ(deg) { this._el('orient-z').value = deg; this._el('val-orient-z').value = Math.round(deg); }
+            tr.append(thumbTd, ...cells, delTd);
+            tr.addEventListener('click', () => this.onChange({ key: 'arsenalSelect', value: row.id }));
+            body.appendChild(tr);
+        }
+    }
+    setSessionStatus(text) { this._el('session-status').textContent = text; }
+    setImageStatus(text) { this._el('image-status').textContent = text; }
+    setFramesStatus(text) { this._el('frames-status').textContent = text; }
+    setGripStatus(text) { this._el('grip-status').textContent = text; }
+    setSeamModelInfo(text) { this._el('seam-model-info').textContent = text; }
+    setSeamImportStatus(text) { this._el('seam-import-status').textContent = text; }
+
+    /** Add (or rename) the measured seam in the ball select and switch to it. */
+    selectMeasuredSeam(name) {
+        const select = this._el('seam-model');
+        let option = [...select.options].find(o => o.value === 'measured');
+        if (!option) {
+            option = document.createElement('option');
+            option.value = 'measured';
+            select.appendChild(option);
+        }
+        option.textContent = name; // file name: text, not HTML
+        select.value = 'measured';
+        select.dispatchEvent(new Event('change'));
+    }
+    /** Load an imported pitch into the controls; fields the export lacked are left as they are. */
+    loadPitch(pitch) {
+        for (const key of ['spinDirection', 'gyroAngle', 'spinRate', 'velocity']) {
+            if (pitch[key] !== undefined) this.setParam(key, pitch[key]);
+        }
+    }
+    /** Apply a seam preset: orientation plus its recommended spin axis. */
+    applyPreset(preset) {
+        this.setOrientationEuler({ x: preset.orientX, y: preset.orientY, z: preset.orientZ });
+        this.setParam('spinDirection', preset.spinDirection);
+        this.setParam('gyroAngle', preset.gyroAngle);
+        this.onChange({ key: 'applyPreset', value: preset });
+    }
     setAsymmetry(val) { this._el('result-asymmetry').textContent = val.toFixed(2); }
     setSSWEffectIndex(val) { this._el('result-ssw-effect').textContent = val.toFixed(2); }
     setClockDirection(str) { this._el('result-clock').textContent = str; }
+    /** @param {{deviationDeg:number, spinBasedClock:string, inferredClock:string}|null} dev */
+    setAxisDeviation(dev) {
+        this._el('result-axis-deviation').textContent = dev ? `${dev.deviationDeg >= 0 ? '+' : ''}${dev.deviationDeg.toFixed(1)}°` : '—';
+        this._el('result-axis-clock').textContent = dev ? `${dev.spinBasedClock} → ${dev.inferredClock}` : '';
+    }
+    /** Show the SSW-adjusted flight: induced break (in) and plate location (ft). */
+    setFlight({ ivb, hb, plateX, plateY }) {
+        this._el('result-ivb').textContent = ivb.toFixed(1);
+        this._el('result-hb').textContent = hb.toFixed(1);
+        this._el('result-plate').textContent = `${plateX.toFixed(2)}, ${plateY.toFixed(2)}`;
+    }
+
+    /** @param {number|null} progress - fraction in [0, 1], or null when idle */
+    setOptimizerProgress(progress) {
+        const btn = this._el('btn-optimize');
+        btn.disabled = progress !== null;
+        btn.textContent = progress === null ? t('runOptimizer') : `${t('optimizing')} ${Math.round(progress * 100)}%`;
+    }
+
+    /** Render ranked optimizer candidates; clicking one applies its orientation. */
+    setOptimizerResults(candidates) {
+        const list = this._el('optimize-results');
+        list.innerHTML = '';
+        if (candidates.length === 0) {
+            list.textContent = t('noCandidates');
+            return;
+        }
+        candidates.forEach((c, i) => {
+            const row = document.createElement('button');
+            row.className = 'candidate-row';
+            row.innerHTML =
+                `<span class="candidate-rank">${i + 1}</span>` +
+                `<span class="candidate-orient">${c.orientX}° / ${c.orientY}° / ${c.orientZ}°</span>` +
+                `<span class="candidate-value">${c.sswEffectIndex.toFixed(2)} · ${c.forceClock}</span>`;
+            row.addEventListener('click', () => {
+                this.setOrientationEuler({ x: c.orientX, y: c.orientY, z: c.orientZ });
+                this.onChange({ key: 'applyCandidate', value: c });
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Render ranked seam arcs (see rankSeamArcs); clicking one highlights it
+     * on the seam, clicking it again clears the highlight.
+     */
+    setSeamArcs(arcs) {
+        this.seamArcs = arcs;
+        const list = this._el('attribution-list');
+        list.innerHTML = '';
+        arcs.forEach((a, i) => {
+            const region = seamArcRegion(a.arc);
+            const name = region.kind === 'turn'
+                ? `${t('seamArcTurn')} ${region.n}` : `${t('seamArcStraight')} ${region.n}–${region.m}`;
+            const row = document.createElement('button');
+            row.className = 'candidate-row';
+            row.classList.toggle('active', a.arc === this.activeSeamArc);
+            row.innerHTML =
+                `<span class="candidate-rank">${i + 1}</span>` +
+                `<span class="candidate-orient">${name}</span>` +
+                `<span class="candidate-value">${(a.share * 100).toFixed(0)}% · ${t('hemisphere')} ${a.net >= 0 ? 1 : 2}</span>`;
+            row.addEventListener('click', () => {
+                this.activeSeamArc = this.activeSeamArc === a.arc ? null : a.arc;
+                this.setSeamArcs(this.seamArcs);
+                this.onChange({ key: 'seamArc', value: this.activeSeamArc });
+            });
+            list.appendChild(row);
+        });
+    }
 
     _el(id) { return document.getElementById(id); }
 
@@ -62,6 +449,7 @@ export class UIControls {
             { id: 'gyro-angle', label: 'val-gyro', key: 'gyroAngle' },
             { id: 'spin-efficiency', label: 'val-spin-efficiency', key: 'spinEfficiency' },
             { id: 'spin-rate', label: 'val-rpm', key: 'spinRate' },
+            { id: 'velocity', label: 'val-velocity', key: 'velocity' },
             { id: 'ssw-alpha-front', label: 'val-alpha-front', key: 'alphaFront' },
             { id: 'ssw-induced-zone', label: 'val-induced-zone', key: 'inducedZone' },
             { id: 'ssw-induced-start', label: 'val-induced-start', key: 'inducedStart' },
@@ -111,8 +499,7 @@ export class UIControls {
 
                     // Special Sync: Gyro Angle <-> Spin Efficiency
                     if (s.key === 'gyroAngle') {
-                        const rad = val * DEG2RAD;
-                        const eff = Math.abs(Math.cos(rad)) * 100;
+                        const eff = gyroToSpinEfficiency(val);
                         const effRange = this._el('spin-efficiency');
                         const effInput = this._el('val-spin-efficiency');
                         if (effRange && effInput) {
@@ -122,9 +509,7 @@ export class UIControls {
                     } else if (s.key === 'spinEfficiency') {
                         const currentGyro = parseFloat(this._el('gyro-angle').value);
                         const sign = currentGyro < 0 ? -1 : 1;
-                        let safeVal = Math.max(0, Math.min(100, val));
-                        let deg = Math.acos(safeVal / 100) * (180 / Math.PI);
-                        deg = deg * sign;
+                        const deg = spinEfficiencyToGyro(val, sign);
 
                         const gyroRange = this._el('gyro-angle');
                         const gyroInput = this._el('val-gyro');
@@ -141,7 +526,7 @@ export class UIControls {
                 if (sourceEl.value != val && !s.isClock) {
                     sourceEl.value = val;
                 }
-
+                if (ORIENT_KEYS.includes(s.key)) this._orientFromSliders();
 
                 this.onChange({ key: s.key, value: parseFloat(rangeEl.value), type });
             };
@@ -223,24 +608,363 @@ export class UIControls {
     _bindVisibility() {
         this._el('check-visible-seam').addEventListener('change', (e) => this.onChange({ key: 'visibleSeam', value: e.target.checked }));
         this._el('check-visible-contrib').addEventListener('change', (e) => this.onChange({ key: 'visibleContrib', value: e.target.checked }));
+        this._el('check-visible-trajectory').addEventListener('change', (e) => this.onChange({ key: 'visibleTrajectory', value: e.target.checked }));
+        this._el('check-batter-view').addEventListener('change', (e) => this.onChange({ key: 'batterView', value: e.target.checked }));
+        document.querySelectorAll('input[name="seam-color"]').forEach(r => {
+            r.addEventListener('change', () => this.onChange({ key: 'seamColor', value: r.value }));
+        });
     }
 
     _bindLang() {
         this._el('btn-lang').addEventListener('click', () => {
-            const newLang = toggleLang();
-            this._el('btn-lang').textContent = t('langSwitch');
-            // Re-format dynamic labels
-            this._el('val-spin-dir').value = angleToClockString(this.spinDirection);
-            const btn = this._el('btn-play-pause');
-            btn.textContent = this.isPlaying ? t('pause') : t('play');
+            toggleLang();
+            this._onLangChanged();
         });
     }
 
+    _onLangChanged() {
+        this._el('btn-lang').textContent = t('langSwitch');
+        // Re-format dynamic labels
+        this._el('val-spin-dir').value = angleToClockString(this.spinDirection);
+        const btn = this._el('btn-play-pause');
+        btn.textContent = this.isPlaying ? t('pause') : t('play');
+        this._renderPresets();
+        this.setSeamArcs(this.seamArcs);
+        this._syncOrientationEntry();
+        this.onChange({ key: 'lang', value: getLang() });
+    }
+
     _bindViewButtons() {
         this._el('btn-pitcher').addEventListener('click', () => this.onChange({ key: 'pitcherView' }));
         this._el('btn-catcher').addEventListener('click', () => this.onChange({ key: 'catcherView' }));
     }
 
+    _bindOptimizer() {
+        this._el('btn-optimize').addEventListener('click', () => {
+            const targetAngle = this.optimizeTargetAngle;
+            if (this.optimizeObjective === 'clock' && isNaN(targetAngle)) {
+                this._el('val-optimize-clock').focus();
+                return;
+            }
+            this.onChange({ key: 'optimize', value: { objective: this.optimizeObjective, targetAngle } });
+        });
+    }
+
+    _bindGrip() {
+        this._el('btn-grip-apply').addEventListener('click', () => {
+            const releaseAngle = clockStringToAngle(this.releaseClock);
+            if (isNaN(releaseAngle)) {
+                this._el('val-release-clock').focus();
+                return;
+            }
+            this.onChange({ key: 'gripApply', value: releaseAngle });
+        });
+        this._el('btn-grip-clear').addEventListener('click', () => this.onChange({ key: 'gripClear' }));
+    }
+
+    _bindSeamModel() {
+        const select = this._el('seam-model');
+        const emit = () => this.onChange({ key: 'seamModel', value: this.seamModel });
+        select.addEventListener('change', () => {
+            this._el('seam-custom').hidden = select.value !== 'custom';
+            emit();
+        });
+        for (const id of Object.values(SEAM_CUSTOM_INPUTS)) this._el(id).addEventListener('change', emit);
+
+        const input = this._el('seam-import-file');
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            // Fitted in a worker (main.js); the result or error comes back as status
+            this.setSeamImportStatus(t('seamFitting'));
+            try {
+                this.onChange({ key: 'seamImport', value: { name: file.name, text: await file.text() } });
+            } catch (err) {
+                this.setSeamImportStatus(`${t('importFailed')}: ${err.message}`);
+            }
+            input.value = ''; // allow re-importing the same file
+        });
+    }
+
+    /** Restore the seam model select and custom values; one change event if anything differs. */
+    _setSeamModel(model, custom) {
+        let changed = false;
+        for (const [key, id] of Object.entries(SEAM_CUSTOM_INPUTS)) {
+            const el = this._el(id);
+            if (custom && Number.isFinite(custom[key]) && parseFloat(el.value) !== custom[key]) {
+                el.value = custom[key];
+                changed = true;
+            }
+        }
+        const select = this._el('seam-model');
+        if (model && model !== select.value && [...select.options].some(o => o.value === model)) {
+            select.value = model;
+            changed = true;
+        }
+        if (changed) select.dispatchEvent(new Event('change'));
+    }
+
+    _bindSweep() {
+        const paramEl = this._el('sweep-param');
+        paramEl.addEventListener('change', () => {
+            // Reset range to the parameter's defaults
+            const def = SWEEP_PARAMS[paramEl.value];
+            this._el('sweep-min').value = def.min;
+            this._el('sweep-max').value = def.max;
+            this._el('sweep-step').value = def.step;
+            this.onChange({ key: 'sweep', value: this.sweep, type: 'committed' });
+        });
+        for (const id of ['sweep-min', 'sweep-max', 'sweep-step']) {
+            this._el(id).addEventListener('change', () => this.onChange({ key: 'sweep', value: this.sweep, type: 'committed' }));
+        }
+    }
+
+    _bindAtlas() {
+        this._el('btn-atlas').addEventListener('click', () => this.onChange({ key: 'atlas', value: this.atlas }));
+    }
+
+    _bindImport() {
+        const input = this._el('import-file');
+        const status = this._el('import-status');
+        const list = this._el('import-list');
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            list.innerHTML = '';
+            try {
+                const { source, pitches } = importPitches(await file.text(), file.name);
+                status.textContent = `${source}: ${pitches.length} ${t('importedCount')}`;
+                pitches.forEach((p) => {
+                    const row = document.createElement('button');
+                    row.className = 'candidate-row';
+                    // Names come from the file: set as text, not HTML
+                    const name = document.createElement('span');
+                    name.className = 'candidate-orient';
+                    name.textContent = p.name;
+                    const value = document.createElement('span');
+                    value.className = 'candidate-value';
+                    value.textContent = `${p.velocity !== undefined ? p.velocity.toFixed(1) : '—'} · ${p.spinRate !== undefined ? Math.round(p.spinRate) : '—'}`;
+                    row.append(name, value);
+                    row.addEventListener('click', () => {
+                        list.querySelectorAll('.candidate-row').forEach(r => r.classList.remove('active'));
+                        row.classList.add('active');
+                        this.loadPitch(p);
+                        this.onChange({ key: 'importedPitch', value: p });
+                    });
+                    list.appendChild(row);
+                });
+            } catch (err) {
+                status.textContent = `${t('importFailed')}: ${err.message}`;
+            }
+            input.value = ''; // allow re-importing the same file
+        });
+    }
+
+    _bindPresets() {
+        this.userPresets = loadUserPresets();
+        this._renderPresets();
+
+        const status = this._el('preset-status');
+        this._el('btn-preset-save').addEventListener('click', () => {
+            const nameEl = this._el('preset-name');
+            if (!nameEl.value.trim()) {
+                status.textContent = t('presetNameRequired');
+                nameEl.focus();
+                return;
+            }
+            const values = {};
+            for (const key of PRESET_FIELDS) values[key] = parseFloat(this._el(PARAM_SLIDERS[key]).value);
+            const others = [...BUILTIN_PRESETS, ...this.userPresets].filter(p => p.name !== nameEl.value.trim());
+            const same = findEquivalentPreset(others, values);
+            if (same) {
+                status.textContent = `${t('presetDuplicate')}: ${same.i18n ? t(same.i18n) : same.name}`;
+                return;
+            }
+            // Same name overwrites
+            this.userPresets = mergePresets(this.userPresets, [createPreset(nameEl.value, values)]).presets;
+            saveUserPresets(this.userPresets);
+            nameEl.value = '';
+            status.textContent = '';
+            this._renderPresets();
+        });
+
+        this._el('btn-preset-export').addEventListener('click', () => {
+            downloadText(exportPresets(this.userPresets), 'ssw-presets.json', 'application/json');
+        });
+
+        const input = this._el('preset-import');
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const imported = importPresets(await file.text());
+                // Presets equivalent to a built-in or another user preset are skipped
+                const { presets, added } = mergePresets(this.userPresets, imported, BUILTIN_PRESETS);
+                this.userPresets = presets;
+                saveUserPresets(this.userPresets);
+                status.textContent = `${added} ${t('presetsImported')}`;
+                this._renderPresets();
+            } catch (err) {
+                status.textContent = `${t('importFailed')}: ${err.message}`;
+            }
+            input.value = '';
+        });
+    }
+
+    _bindSession() {
+        this._el('scenario-select').addEventListener('change', (e) => this.onChange({ key: 'scenarioSwitch', value: e.target.value }));
+        const emitMeta = () => this.onChange({
+            key: 'scenarioMeta',
+            value: { name: this._el('scenario-name').value.trim(), notes: this._el('scenario-notes').value },
+        });
+        this._el('scenario-name').addEventListener('change', emitMeta);
+        this._el('scenario-notes').addEventListener('change', emitMeta);
+        this._el('btn-scenario-add').addEventListener('click', () => this.onChange({ key: 'scenarioAdd' }));
+        this._el('btn-scenario-delete').addEventListener('click', () => this.onChange({ key: 'scenarioDelete' }));
+        this._el('btn-session-save').addEventListener('click', () => this.onChange({ key: 'sessionSave' }));
+
+        const input = this._el('session-open');
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                this.onChange({ key: 'sessionOpen', value: { text: await file.text(), fileName: file.name } });
+            } catch (err) {
+                this.setSessionStatus(`${t('sessionFailed')}: ${err.message}`);
+            }
+            input.value = '';
+        });
+    }
+
+    _bindCompare() {
+        document.querySelectorAll('input[name="compare-mode"]').forEach(r => {
+            r.addEventListener('change', () => this.onChange({ key: 'compareMode', value: r.value }));
+        });
+        this._el('btn-compare-pin').addEventListener('click', () => this.onChange({ key: 'comparePin' }));
+        this._el('btn-compare-swap').addEventListener('click', () => this.onChange({ key: 'compareSwap' }));
+    }
+
+    _bindArsenal() {
+        this._el('btn-arsenal-add').addEventListener('click', () => {
+            const nameEl = this._el('arsenal-name');
+            this.onChange({ key: 'arsenalAdd', value: nameEl.value.trim() });
+            nameEl.value = '';
+        });
+        this._el('btn-arsenal-update').addEventListener('click', () => this.onChange({ key: 'arsenalUpdate' }));
+    }
+
+    /** Axis-angle / quaternion entry: shows the slider orientation, applies typed values. */
+    _bindOrientationEntry() {
+        for (const id of ['orient-x', 'orient-y', 'orient-z', 'val-orient-x', 'val-orient-y', 'val-orient-z']) {
+            this._el(id).addEventListener('input', () => this._syncOrientationEntry());
+            this._el(id).addEventListener('change', () => this._syncOrientationEntry());
+        }
+        const num = (id) => parseFloat(this._el(id).value);
+        const apply = (q) => {
+            if (!q) return;
+            this.setOrientationQuat(q);
+            this.onChange({ key: 'orientation', value: q });
+        };
+        this._el('btn-apply-axis-angle').addEventListener('click', () => {
+            apply(axisAngleToQuat(num('aa-x'), num('aa-y'), num('aa-z'), num('aa-angle')));
+        });
+        this._el('btn-apply-quat').addEventListener('click', () => {
+            apply(quatFromComponents(num('quat-w'), num('quat-x'), num('quat-y'), num('quat-z')));
+        });
+        this._syncOrientationEntry();
+    }
+
+    _syncOrientationEntry() {
+        const q = this.orientationQuat;
+        const { axis, angle } = quatToAxisAngle(q);
+        const values = {
+            'aa-x': axis.x.toFixed(3), 'aa-y': axis.y.toFixed(3), 'aa-z': axis.z.toFixed(3), 'aa-angle': angle.toFixed(1),
+            'quat-w': q.w.toFixed(4), 'quat-x': q.x.toFixed(4), 'quat-y': q.y.toFixed(4), 'quat-z': q.z.toFixed(4),
+        };
+        for (const [id, v] of Object.entries(values)) {
+            const el = this._el(id);
+            if (el && el !== document.activeElement) el.value = v;
+        }
+        const { x, y, z } = this._orientDeg;
+        const c = canonicalOrientation({ orientX: x, orientY: y, orientZ: z });
+        this._el('orient-canonical').textContent =
+            `${t('canonicalOrientation')}: ${c.orientX}° / ${c.orientY}° / ${c.orientZ}°`;
+    }
+
+    _bindExport() {
+        document.querySelectorAll('[data-export]').forEach(btn => {
+            btn.addEventListener('click', () => this.onChange({ key: 'export', value: btn.dataset.export }));
+        });
+        this._el('btn-export-image').addEventListener('click', () => {
+            this.onChange({
+                key: 'exportImage',
+                value: {
+                    size: this._el('image-size').value,
+                    transparent: this._el('image-background').value === 'transparent',
+                    topView: this._el('check-image-top').checked,
+                    overlays: this._el('check-image-overlays').checked,
+                },
+            });
+        });
+        const num = (id, fallback) => parseFloat(this._el(id).value) || fallback;
+        this._el('btn-frames-loop').addEventListener('click', () => {
+            this._el('frame-count').value = loopFrameCount(num('frame-fps', 30), num('frame-rpm', 60));
+        });
+        this._el('btn-export-frames').addEventListener('click', () => {
+            this.onChange({
+                key: 'exportFrames',
+                value: {
+                    size: this._el('frame-size').value,
+                    format: this._el('frame-format').value,
+                    count: Math.min(600, Math.max(1, Math.round(num('frame-count', 30)))),
+                    fps: Math.min(60, Math.max(1, num('frame-fps', 30))),
+                    spinRate: Math.max(1, num('frame-rpm', 60)),
+                    transparent: this._el('image-background').value === 'transparent',
+                },
+            });
+        });
+    }
+
+    /** Built-in presets first, then user presets (deletable). */
+    _renderPresets() {
+        const list = this._el('preset-list');
+        list.innerHTML = '';
+        const all = [...BUILTIN_PRESETS, ...this.userPresets];
+        for (const p of all) {
+            const row = document.createElement('button');
+            row.className = 'candidate-row';
+            // User preset names are free text: set as text, not HTML
+            const name = document.createElement('span');
+            name.className = 'candidate-orient';
+            name.textContent = p.i18n ? t(p.i18n) : p.name;
+            const value = document.createElement('span');
+            value.className = 'candidate-value';
+            value.textContent = `${p.orientX}° / ${p.orientY}° / ${p.orientZ}° · ${angleToClockString(p.spinDirection * DEG2RAD)}`;
+            row.append(name, value);
+
+            if (!p.i18n) {
+                const del = document.createElement('span');
+                del.className = 'candidate-delete';
+                del.textContent = '×';
+                del.title = t('deletePreset');
+                del.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.userPresets = this.userPresets.filter(u => u.id !== p.id);
+                    saveUserPresets(this.userPresets);
+                    this._renderPresets();
+                });
+                row.appendChild(del);
+            }
+
+            row.addEventListener('click', () => {
+                list.querySelectorAll('.candidate-row').forEach(r => r.classList.remove('active'));
+                row.classList.add('active');
+                this.applyPreset(p);
+            });
+            list.appendChild(row);
+        }
+    }
+
     _bindHelp() {
         const btn = this._el('btn-help');
         const modal = this._el('help-modal');
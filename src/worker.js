@@ -1,52 +1,86 @@
 import { computeSSW } from './ssw.js';
+import { optimizeOrientation } from './optimizer.js';
+import { computeSweep, computeAtlasRow, normalizeSweep, sweepValues } from './sweep.js';
+import { pitchToSSWParams } from './batch.js';
+import { parseSeamFile, fitMeasuredSeam } from './seamimport.js';
+
+// Atlas grids are computed one row per task so a newer request can
+// interrupt a grid that is still filling in.
+let atlasJob = 0;
+
+function runAtlas(data) {
+    const job = ++atlasJob;
+    const xSweep = normalizeSweep(data.xSweep);
+    const ySweep = normalizeSweep(data.ySweep);
+    const xs = sweepValues(xSweep);
+    const ys = sweepValues(ySweep);
+    self.postMessage({ mode: 'atlas', jobId: data.jobId, xSweep, ySweep, xs, ys });
+
+    let row = 0;
+    const next = () => {
+        if (job !== atlasJob || row >= ys.length) return;
+        const { values, arrows } = computeAtlasRow(data.seamPoints, data, xSweep, ySweep.param, ys[row]);
+        self.postMessage({ mode: 'atlas', jobId: data.jobId, row, values, arrows });
+        row++;
+        setTimeout(next, 0);
+    };
+    next();
+}
 
 self.onmessage = function (e) {
     const {
-        mode, // 'single' or 'curve'
-        seamPoints,
+        mode, // 'single', 'curve', 'optimize', 'atlas', 'arsenal' or 'seamFit'
+        seamPoints, seamRadius,
         orientX, orientY, orientZ,
         spinDirection, gyroAngle,
         alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg
     } = e.data;
 
-    if (mode === 'curve') {
-        // Calculate curve for Gyro Angle -90 to 90
-        const curveData = [];
-        // Use 5 degree steps for performance.
-        const step = 5;
-        for (let g = -90; g <= 90; g += step) {
-            const rad = g * (Math.PI / 180);
+    if (mode === 'atlas') {
+        runAtlas(e.data);
+    } else if (mode === 'arsenal') {
+        // Several pitch records (slider units) → the summary values of each full result
+        const results = e.data.pitches.map((pitch) => {
+            const p = pitchToSSWParams(pitch);
             const res = computeSSW(
                 seamPoints,
-                orientX, orientY, orientZ,
-                spinDirection, rad,
-                alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg,
-                true // fast mode
+                p.orientX, p.orientY, p.orientZ,
+                p.spinDirection, p.gyroAngle,
+                p.alphaFrontDeg, p.inducedZoneDeg, p.inducedStartDeg, p.naturalZoneDeg, p.alphaBackDeg,
+                false, seamRadius
             );
-
-            // Disable manual scaling -- compueSSW already normalizes by step count
-            // Adjust scale because ssw.js divides by 720 but we only did 36 steps
-            // Ratio = 720 / 36 = 20
-            // const scale = 720 / 36;
-            // res.sswEffectIndex *= scale;
-            // res.effectSumA *= scale;
-            // res.effectSumB *= scale;
-
-            curveData.push({
-                gyro: g,
-                sswEffectIndex: res.sswEffectIndex,
-                effectSumA: res.effectSumA,
-                effectSumB: res.effectSumB
-            });
+            return {
+                asymmetryIndex: res.asymmetryIndex, sswEffectIndex: res.sswEffectIndex,
+                arrowAngle: res.arrowAngle, effectSumA: res.effectSumA, effectSumB: res.effectSumB,
+            };
+        });
+        self.postMessage({ mode: 'arsenal', jobId: e.data.jobId, results });
+    } else if (mode === 'seamFit') {
+        // Measured seam file → fitted seam points, or the parse / fit error
+        const { jobId, text, fileName } = e.data;
+        try {
+            const fit = fitMeasuredSeam(parseSeamFile(text, fileName));
+            self.postMessage({ mode: 'seamFit', jobId, name: fileName, fit }, [fit.points.buffer]);
+        } catch (err) {
+            self.postMessage({ mode: 'seamFit', jobId, error: err.message });
         }
-        self.postMessage({ mode: 'curve', data: curveData });
+    } else if (mode === 'optimize') {
+        const candidates = optimizeOrientation(seamPoints, e.data, e.data.options,
+            (progress) => self.postMessage({ mode: 'optimize', progress }));
+        self.postMessage({ mode: 'optimize', done: true, candidates });
+    } else if (mode === 'curve') {
+        // Sweep one parameter (gyro angle -90 to 90 by default)
+        const sweep = normalizeSweep(e.data.sweep);
+        const curveData = computeSweep(seamPoints, e.data, sweep);
+        self.postMessage({ mode: 'curve', sweep, data: curveData });
     } else {
         // Single calculation
         const result = computeSSW(
             seamPoints,
             orientX, orientY, orientZ,
             spinDirection, gyroAngle,
-            alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg
+            alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg,
+            false, seamRadius
         );
         self.postMessage(result); // Implicitly result has no 'mode', handled as single
     }
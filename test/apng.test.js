@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeAPNG } from '../src/apng.js';
+import { crc32 } from '../src/zip.js';
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out, 4, 8 + data.length));
+    return out;
+}
+
+/** A PNG-shaped file: real IHDR, arbitrary IDAT payloads (nothing here decodes them). */
+function fakePNG(width, height, idats) {
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA
+    const parts = [new Uint8Array(SIGNATURE), chunk('IHDR', ihdr), ...idats.map(d => chunk('IDAT', d)), chunk('IEND', new Uint8Array(0))];
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let pos = 0;
+    for (const p of parts) { out.set(p, pos); pos += p.length; }
+    return out;
+}
+
+function readChunks(png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks = [];
+    let pos = SIGNATURE.length;
+    while (pos < png.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...png.subarray(pos + 4, pos + 8));
+        const data = png.subarray(pos + 8, pos + 8 + length);
+        const crcOk = view.getUint32(pos + 8 + length) === crc32(png, pos + 4, pos + 8 + length);
+        chunks.push({ type, data, crcOk });
+        pos += 12 + length;
+    }
+    return chunks;
+}
+
+const u32 = (data, at) => new DataView(data.buffer, data.byteOffset).getUint32(at);
+const u16 = (data, at) => new DataView(data.buffer, data.byteOffset).getUint16(at);
+
+test('encodeAPNG lays out acTL, fcTL/IDAT for the first frame and fcTL/fdAT after it', async () => {
+    const frames = [
+        fakePNG(4, 3, [new Uint8Array([1, 2, 3])]),
+        fakePNG(4, 3, [new Uint8Array([4, 5]), new Uint8Array([6])]),
+    ];
+    const blob = encodeAPNG(frames, 24);
+    assert.equal(blob.type, 'image/apng');
+    const png = new Uint8Array(await blob.arrayBuffer());
+    assert.deepEqual([...png.subarray(0, 8)], SIGNATURE);
+
+    const chunks = readChunks(png);
+    assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fdAT', 'IEND']);
+    assert.ok(chunks.every(c => c.crcOk), 'every chunk CRC is valid');
+
+    const [ihdr, actl, fctl0, idat, fctl1, fdat1, fdat2] = chunks;
+    assert.equal(u32(ihdr.data, 0), 4);
+    assert.equal(u32(ihdr.data, 4), 3);
+    assert.equal(u32(actl.data, 0), 2); // frames
+    assert.equal(u32(actl.data, 4), 0); // loop forever
+
+    // Sequence numbers run through fcTL and fdAT chunks
+    assert.equal(u32(fctl0.data, 0), 0);
+    assert.equal(u32(fctl1.data, 0), 1);
+    assert.equal(u32(fdat1.data, 0), 2);
+    assert.equal(u32(fdat2.data, 0), 3);
+
+    for (const fctl of [fctl0, fctl1]) {
+        assert.equal(fctl.data.length, 26);
+        assert.equal(u32(fctl.data, 4), 4);
+        assert.equal(u32(fctl.data, 8), 3);
+        assert.equal(u16(fctl.data, 20), 1);  // delay 1/24 s
+        assert.equal(u16(fctl.data, 22), 24);
+    }
+    assert.deepEqual([...idat.data], [1, 2, 3]);
+    assert.deepEqual([...fdat1.data.subarray(4)], [4, 5]);
+    assert.deepEqual([...fdat2.data.subarray(4)], [6]);
+});
+
+test('encodeAPNG keeps fractional frame rates exact to 1/1000', async () => {
+    const png = new Uint8Array(await encodeAPNG([fakePNG(1, 1, [new Uint8Array([0])])], 29.97).arrayBuffer());
+    const fctl = readChunks(png).find(c => c.type === 'fcTL');
+    assert.equal(u16(fctl.data, 20), 1000);
+    assert.equal(u16(fctl.data, 22), 29970);
+});
+
+test('encodeAPNG rejects frames of another size and empty input', () => {
+    assert.throws(() => encodeAPNG([], 10), /No frames/);
+    const frames = [fakePNG(4, 3, [new Uint8Array([1])]), fakePNG(5, 3, [new Uint8Array([1])])];
+    assert.throws(() => encodeAPNG(frames, 10), /Frame 1 differs/);
+});
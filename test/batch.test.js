@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupPitches, pitchKey } from '../src/batch.js';
+import { equivalentOrientations } from '../src/symmetry.js';
+
+const BASE = { orientX: 20, orientY: -35, orientZ: 50, spinDirection: 0, gyroAngle: 15 };
+
+test('seam-equivalent orientations and wrapped spin directions share a key', () => {
+    const keys = equivalentOrientations(BASE).map(o => pitchKey({ ...BASE, ...o }));
+    assert.equal(new Set(keys).size, 1);
+    assert.equal(pitchKey({ ...BASE, spinDirection: 360 }), keys[0]);
+    assert.equal(pitchKey({ ...BASE, spinDirection: '6:00' }), keys[0]);
+    assert.notEqual(pitchKey({ ...BASE, gyroAngle: 20 }), keys[0]);
+    assert.notEqual(pitchKey({ ...BASE, alphaFrontDeg: 10 }), keys[0]);
+});
+
+test('groupPitches keeps the first row of each group and every row index', () => {
+    const [, other] = equivalentOrientations(BASE);
+    const rows = [BASE, { ...BASE, gyroAngle: 0 }, { ...BASE, ...other }, { ...BASE, spinDirection: 360 }];
+    const groups = groupPitches(rows);
+    assert.deepEqual(groups.map(g => g.rows), [[0, 2, 3], [1]]);
+    assert.equal(groups[0].pitch, rows[0]);
+    assert.throws(() => groupPitches([BASE, { ...BASE, gyroAngle: 'x' }]), /^Error: Row 2: /);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeState, decodeState } from '../src/permalink.js';
+
+const STATE = {
+    params: {
+        orientX: 12.5, orientY: -40, orientZ: 90, spinDirection: 180, gyroAngle: 17, spinRate: 2300, velocity: 90,
+        alphaFrontDeg: -11, inducedZoneDeg: -0.6, inducedStartDeg: 10, naturalZoneDeg: 25.1, alphaBackDeg: 30,
+    },
+    orientation: [0.5, 0.5, -0.5, 0.5],
+    displayMode: 'slice',
+    dragAxis: 'free',
+    seamColor: 'zones',
+    seamModel: 'custom',
+    seamCustom: { pinch: 0.3, seamWidthMm: 4, seamHeightMm: 1.2, circumferenceIn: 9.1, massG: 146 },
+    visibleSeam: true,
+    visibleContrib: false,
+    visibleTrajectory: true,
+    batterView: false,
+    lang: 'en',
+    camera: [1.25, -0.5, 4],
+};
+
+test('encodeState → decodeState restores the state', () => {
+    assert.deepEqual(decodeState(`#${encodeState(STATE)}`), STATE);
+});
+
+test('numbers are rounded: 2 decimals for params, 6 for the quaternion', () => {
+    const state = decodeState(encodeState({
+        params: { orientX: 1.23456 }, orientation: [0.123456789, 0, 0, 0.99],
+    }));
+    assert.equal(state.params.orientX, 1.23);
+    assert.deepEqual(state.orientation, [0.123457, 0, 0, 0.99]);
+});
+
+test('decodeState keeps only present and valid keys', () => {
+    const state = decodeState('#ox=abc&oy=5&mode=bogus&seam=2&traj=0&q=1,0,0&cam=1,2&lang=en');
+    assert.deepEqual(state, { params: { orientY: 5 }, visibleTrajectory: false, lang: 'en' });
+});
+
+test('a measured seam is not written to the link', () => {
+    const hash = encodeState({ params: {}, seamModel: 'measured' });
+    assert.equal(new URLSearchParams(hash).has('ball'), false);
+    assert.equal(decodeState('#ball=measured').seamModel, undefined);
+});
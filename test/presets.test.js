@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILTIN_PRESETS, findEquivalentPreset, mergePresets, normalizePreset } from '../src/presets.js';
+
+const curve = BUILTIN_PRESETS.find(p => p.id === 'curveball');
+
+test('findEquivalentPreset wraps spin direction at 360°', () => {
+    assert.equal(findEquivalentPreset(BUILTIN_PRESETS, { ...curve, spinDirection: 359.8 }), curve);
+    assert.equal(findEquivalentPreset(BUILTIN_PRESETS, { ...curve, spinDirection: 360.2 }), curve);
+    assert.equal(findEquivalentPreset(BUILTIN_PRESETS, { ...curve, spinDirection: 359 }), null);
+});
+
+test('mergePresets skips copies of built-ins and counts what it added', () => {
+    const mine = normalizePreset({ name: 'Mine', orientX: 10, orientY: 0, orientZ: 0, spinDirection: 180, gyroAngle: 0 });
+    const imported = [
+        normalizePreset({ ...curve, id: undefined, name: 'Curve copy', spinDirection: 359.9 }),
+        normalizePreset({ ...mine, id: undefined, gyroAngle: 30 }),
+        normalizePreset({ name: 'New', orientX: 0, orientY: 0, orientZ: 10, spinDirection: 90, gyroAngle: 0 }),
+    ];
+    const { presets, added } = mergePresets([mine], imported, BUILTIN_PRESETS);
+    assert.equal(added, 2);
+    assert.deepEqual(presets.map(p => p.name), ['Mine', 'New']);
+    assert.equal(presets[0].id, mine.id);
+    assert.equal(presets[0].gyroAngle, 30);
+});
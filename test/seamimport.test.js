@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { parseSeamFile, fitMeasuredSeam } from '../src/seamimport.js';
+import { computeSeamPoints } from '../src/baseball.js';
+import { R, SEAM_POINTS } from '../src/constants.js';
+
+// A scan of the ideal seam: every 5th point, turned, scaled to mm, moved, reversed
+const SCALE = 36.6;
+const TURN = new THREE.Quaternion().setFromEuler(new THREE.Euler(0.7, -1.1, 2.3));
+const OFFSET = new THREE.Vector3(5, -3, 100);
+
+function scanPoints(pinch = 0.25, noise = 0) {
+    const ideal = computeSeamPoints(pinch);
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+    const out = [];
+    for (let i = 0; i < SEAM_POINTS; i += 5) {
+        const p = new THREE.Vector3().fromArray(ideal, i * 3).applyQuaternion(TURN).multiplyScalar(SCALE).add(OFFSET);
+        out.push([p.x + noise * random(), p.y + noise * random(), p.z + noise * random()]);
+    }
+    return out.reverse();
+}
+
+const csv = (pts) => 'x,y,z\n' + pts.map(p => p.join(',')).join('\n');
+
+test('a turned, scaled and moved ideal seam fits back onto the ideal curve', () => {
+    const fit = fitMeasuredSeam(scanPoints());
+    assert.equal(fit.count, SEAM_POINTS / 5);
+    assert.equal(fit.points.length, SEAM_POINTS * 3);
+    assert.ok(Math.abs(fit.sourceRadius - SCALE) < 1e-6 * SCALE);
+    assert.ok(fit.sphereError < 1e-6);
+    assert.ok(fit.rmsError < 1e-3, `rms ${fit.rmsError}`);
+    assert.ok(fit.maxError < 2e-3, `max ${fit.maxError}`);
+
+    // Every point is on the ball, and the loop starts and runs like the ideal one
+    const ideal = computeSeamPoints();
+    for (let i = 0; i < SEAM_POINTS; i += 50) {
+        assert.ok(Math.abs(new THREE.Vector3().fromArray(fit.points, i * 3).length() - R) < 1e-5);
+    }
+    const at = (arr, i) => new THREE.Vector3().fromArray(arr, i * 3);
+    assert.ok(at(fit.points, 0).distanceTo(at(ideal, 0)) < 0.02 * R);
+    assert.ok(at(fit.points, 50).distanceTo(at(ideal, 50)) < at(fit.points, 50).distanceTo(at(ideal, SEAM_POINTS - 50)));
+});
+
+test('noise shows up as fit error, a different seam shape as a larger one', () => {
+    const noisy = fitMeasuredSeam(scanPoints(0.25, 0.2));
+    assert.ok(noisy.rmsError * SCALE < 0.15, `noisy rms ${noisy.rmsError * SCALE} mm`);
+    const other = fitMeasuredSeam(scanPoints(0.32));
+    assert.ok(other.rmsError > 5 * noisy.rmsError);
+});
+
+test('CSV with or without header, PLY and OBJ read the same points', () => {
+    const pts = scanPoints().slice(0, 20);
+    const plain = pts.map(p => p.join(' ')).join('\n');
+    const ply = `ply\nformat ascii 1.0\nelement vertex ${pts.length}\nproperty float x\nproperty float y\nproperty float z\n` +
+        `element face 0\nproperty list uchar int vertex_indices\nend_header\n${plain}\n`;
+    // OBJ vertices out of order, put back in order by the polyline
+    const obj = [...pts].reverse().map(p => `v ${p.join(' ')}`).join('\n') +
+        `\nl ${pts.map((_, i) => pts.length - i).join(' ')}\n`;
+
+    assert.deepEqual(parseSeamFile(csv(pts), 'seam.csv'), pts);
+    assert.deepEqual(parseSeamFile(pts.map(p => p.join(',')).join('\n'), 'seam.txt'), pts);
+    assert.deepEqual(parseSeamFile(ply, 'seam.PLY'), pts);
+    assert.deepEqual(parseSeamFile(obj, 'seam.obj'), pts);
+});
+
+test('parseSeamFile rejects short, malformed and binary files', () => {
+    assert.throws(() => parseSeamFile('x,y,z\n1,2,3\n', 'a.csv'), /at least/);
+    assert.throws(() => parseSeamFile('x,y,z\n' + '1,2,a\n'.repeat(10), 'a.csv'), /three numbers/);
+    assert.throws(() => parseSeamFile('ply\nformat binary_little_endian 1.0\nend_header\n', 'a.ply'), /ASCII/);
+});
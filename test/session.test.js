@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SESSION_FORMAT, SESSION_VERSION, createScenario, createSession, activeScenario,
+    cacheResults, serializeSession, parseSession,
+} from '../src/session.js';
+
+const STATE = { params: { orientX: 10, spinRate: 2300 }, orientation: [1, 0, 0, 0], lang: 'en', camera: [0, 0, -4] };
+
+test('serializeSession → parseSession keeps scenarios, active scenario and arsenal', () => {
+    const first = createScenario('Four-seam', STATE);
+    const session = createSession(first);
+    const second = createScenario('Sinker', { ...STATE, params: { orientX: -20 } });
+    second.notes = 'late break';
+    session.scenarios.push(second);
+    session.activeScenario = second.id;
+    session.arsenal = [{ id: 'p1', name: 'FB', params: { spinRate: 2400 } }];
+
+    const doc = parseSession(serializeSession(session));
+    assert.equal(doc.format, SESSION_FORMAT);
+    assert.equal(doc.version, SESSION_VERSION);
+    assert.equal(typeof doc.savedAt, 'string');
+    assert.deepEqual(doc.scenarios, [
+        { id: first.id, name: 'Four-seam', notes: '', state: STATE, results: null },
+        { id: second.id, name: 'Sinker', notes: 'late break', state: second.state, results: null },
+    ]);
+    assert.equal(activeScenario(doc).id, second.id);
+    assert.deepEqual(doc.arsenal, session.arsenal);
+});
+
+test('cached results survive JSON as rounded plain lists', () => {
+    const single = {
+        asymmetryIndex: 0.25, sswEffectIndex: 12.5, arrowAngle: 1, arrowWidth: 2,
+        numSlices: 2, maxContribution: 3, effectSumA: 4, effectSumB: 5,
+        zPlanes: new Float32Array([0.1, 0.2]),
+        combined: new Float32Array([1 / 3]),
+        combinedContrib: new Float32Array([0]),
+        histograms: [new Float32Array([1, 2])],
+        contribHistograms: [new Float32Array([3])],
+        attribution: { sumA: new Float32Array([0.5]), sumB: new Float32Array([0.25]) },
+    };
+    const session = createSession(createScenario('A', STATE, cacheResults(single, null)));
+    const { results } = parseSession(serializeSession(session)).scenarios[0];
+    assert.equal(results.single.sswEffectIndex, 12.5);
+    assert.deepEqual(results.single.combined, [0.33333]);
+    assert.deepEqual(results.single.histograms, [[1, 2]]);
+    assert.deepEqual(results.single.attribution, { sumA: [0.5], sumB: [0.25] });
+    assert.equal(results.curve, null);
+});
+
+test('a bare version 0 state is migrated into a one-scenario session', () => {
+    const doc = parseSession(JSON.stringify({ ...STATE, name: 'Old' }));
+    assert.equal(doc.version, SESSION_VERSION);
+    assert.equal(doc.scenarios.length, 1);
+    assert.equal(doc.scenarios[0].name, 'Old');
+    assert.deepEqual(doc.scenarios[0].state, STATE);
+    assert.equal(doc.activeScenario, doc.scenarios[0].id);
+});
+
+test('parseSession rejects other files and newer versions', () => {
+    assert.throws(() => parseSession('{"foo": 1}'), /Not a session file/);
+    assert.throws(() => parseSession(JSON.stringify({ format: SESSION_FORMAT, version: SESSION_VERSION + 1 })), /newer/);
+    assert.throws(() => parseSession(JSON.stringify({ format: SESSION_FORMAT, version: 1, scenarios: [] })), /no scenarios/);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSeamPoints } from '../src/baseball.js';
+import { computeSSW } from '../src/ssw.js';
+import { DEG2RAD, SSW_PLANE_DEFAULTS } from '../src/constants.js';
+
+const ORIENTS = [[20, -35, 50], [0, 0, 0], [90, 10, -40], [45, 45, 0]];
+
+function ssw(seamPts, [x, y, z], fast) {
+    const { alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg } = SSW_PLANE_DEFAULTS;
+    return computeSSW(
+        seamPts, x * DEG2RAD, y * DEG2RAD, z * DEG2RAD,
+        150 * DEG2RAD + Math.PI, 15 * DEG2RAD,
+        alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg,
+        fast,
+    );
+}
+
+test('fast mode gives the same asymmetry index and histogram scale as full mode', () => {
+    const seamPts = computeSeamPoints();
+    for (const orient of ORIENTS) {
+        const fast = ssw(seamPts, orient, true);
+        const full = ssw(seamPts, orient, false);
+        assert.ok(Math.abs(fast.asymmetryIndex - full.asymmetryIndex) <= 0.5 + 0.1 * full.asymmetryIndex,
+            `${orient}: fast ${fast.asymmetryIndex}, full ${full.asymmetryIndex}`);
+        const peak = (r) => Math.max(...r.combined);
+        assert.ok(Math.abs(peak(fast) - peak(full)) < 0.05, `${orient}: peak ${peak(fast)} vs ${peak(full)}`);
+    }
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+    SEAM_SYMMETRIES, equivalentOrientations, canonicalOrientation, orientationDistance, sameOrientation,
+} from '../src/symmetry.js';
+import { computeSeamPoints } from '../src/baseball.js';
+import { computeSSW } from '../src/ssw.js';
+import { DEG2RAD, SEAM_POINTS, SSW_PLANE_DEFAULTS } from '../src/constants.js';
+
+const ORIENT = { orientX: 20, orientY: -35, orientZ: 50 };
+
+function sswFor({ orientX, orientY, orientZ }, seamPts) {
+    const { alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg } = SSW_PLANE_DEFAULTS;
+    return computeSSW(
+        seamPts, orientX * DEG2RAD, orientY * DEG2RAD, orientZ * DEG2RAD,
+        150 * DEG2RAD + Math.PI, 15 * DEG2RAD,
+        alphaFrontDeg, inducedZoneDeg, inducedStartDeg, naturalZoneDeg, alphaBackDeg,
+        true,
+    );
+}
+
+test('each symmetry maps the seam curve onto itself, for any pinch', () => {
+    for (const pinch of [0.25, 0.35]) {
+        const pts = computeSeamPoints(pinch);
+        const curve = [];
+        for (let i = 0; i < SEAM_POINTS; i++) curve.push(new THREE.Vector3().fromArray(pts, i * 3));
+        for (const s of SEAM_SYMMETRIES) {
+            for (let i = 0; i < SEAM_POINTS; i += 97) {
+                const p = curve[i].clone().applyQuaternion(s);
+                const nearest = Math.min(...curve.map(c => c.distanceTo(p)));
+                assert.ok(nearest < 1e-5, `pinch ${pinch}: point ${i} is ${nearest} off the seam`);
+            }
+        }
+    }
+});
+
+test('the four equivalent orientations give identical SSW results', () => {
+    const seamPts = computeSeamPoints();
+    const orients = equivalentOrientations(ORIENT);
+    assert.equal(orients.length, 4);
+    const [ref, ...others] = orients.map(o => sswFor(o, seamPts));
+    assert.ok(ref.sswEffectIndex > 0, 'test orientation has an SSW effect');
+    for (const res of others) {
+        assert.ok(Math.abs(res.sswEffectIndex - ref.sswEffectIndex) < 1e-3 * Math.max(1, ref.sswEffectIndex));
+        assert.ok(Math.abs(res.asymmetryIndex - ref.asymmetryIndex) < 1e-3);
+        const dAngle = Math.abs(Math.atan2(Math.sin(res.arrowAngle - ref.arrowAngle), Math.cos(res.arrowAngle - ref.arrowAngle)));
+        assert.ok(dAngle < 0.01, `force direction differs by ${dAngle} rad`);
+    }
+});
+
+test('equivalent orientations share one canonical orientation and are 0° apart', () => {
+    const canonical = canonicalOrientation(ORIENT);
+    for (const o of equivalentOrientations(ORIENT)) {
+        assert.deepEqual(canonicalOrientation(o), canonical);
+        assert.ok(orientationDistance(o, ORIENT) < 0.1);
+        assert.ok(sameOrientation(o, canonical));
+    }
+});
+
+test('orientationDistance measures real differences, and spin phase only when asked', () => {
+    const turned = { ...ORIENT, orientY: ORIENT.orientY + 10 };
+    assert.ok(Math.abs(orientationDistance(ORIENT, turned) - 10) < 0.5);
+    assert.equal(sameOrientation(ORIENT, turned), false);
+
+    // orientX is the spin phase: different as a pose, the same over a revolution
+    const phased = { ...ORIENT, orientX: ORIENT.orientX + 40 };
+    assert.ok(orientationDistance(ORIENT, phased) > 30);
+    assert.ok(orientationDistance(ORIENT, phased, { ignoreSpinPhase: true }) < 0.1);
+});
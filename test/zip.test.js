@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, createZip } from '../src/zip.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(bytes('123456789')), 0xcbf43926);
+    assert.equal(crc32(bytes('xx123456789yy'), 2, 11), 0xcbf43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('createZip writes stored entries with a matching central directory', async () => {
+    const files = [
+        { name: 'frame-000.png', data: bytes('first frame') },
+        { name: 'ä.txt', data: bytes('') },
+    ];
+    const blob = createZip(files);
+    assert.equal(blob.type, 'application/zip');
+    const zip = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(zip.buffer);
+
+    // End of central directory record: the last 22 bytes
+    const eocd = zip.length - 22;
+    assert.equal(view.getUint32(eocd, true), 0x06054b50);
+    assert.equal(view.getUint16(eocd + 8, true), files.length);
+    assert.equal(view.getUint16(eocd + 10, true), files.length);
+    const centralSize = view.getUint32(eocd + 12, true);
+    const centralStart = view.getUint32(eocd + 16, true);
+    assert.equal(centralStart + centralSize, eocd);
+
+    let pos = centralStart;
+    for (const file of files) {
+        const name = bytes(file.name);
+        assert.equal(view.getUint32(pos, true), 0x02014b50);
+        assert.equal(view.getUint16(pos + 8, true), 0x0800); // UTF-8 names
+        assert.equal(view.getUint16(pos + 10, true), 0);     // stored
+        const crc = view.getUint32(pos + 16, true);
+        assert.equal(crc, crc32(file.data));
+        assert.equal(view.getUint32(pos + 20, true), file.data.length);
+        assert.equal(view.getUint32(pos + 24, true), file.data.length);
+        assert.equal(view.getUint16(pos + 28, true), name.length);
+        assert.deepEqual(zip.subarray(pos + 46, pos + 46 + name.length), name);
+
+        // The local header it points at, followed by the name and the data
+        const local = view.getUint32(pos + 42, true);
+        assert.equal(view.getUint32(local, true), 0x04034b50);
+        assert.equal(view.getUint32(local + 14, true), crc);
+        assert.equal(view.getUint32(local + 18, true), file.data.length);
+        assert.equal(view.getUint16(local + 26, true), name.length);
+        assert.deepEqual(zip.subarray(local + 30, local + 30 + name.length), name);
+        const data = local + 30 + name.length;
+        assert.deepEqual(zip.subarray(data, data + file.data.length), file.data);
+
+        pos += 46 + name.length;
+    }
+    assert.equal(pos, eocd);
+});